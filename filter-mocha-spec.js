@@ -3,34 +3,259 @@
 // property (i.e. `require('...')` vs `import ...`). The fallback below handles both
 // cases so the wrapper works whether the reporter is published as ESM or CJS and
 // avoids runtime errors like "X is not a constructor" or "default is undefined".
+import fs from 'node:fs';
+import path from 'node:path';
 import SpecReporterCjs from 'jest-mocha-spec-reporter';
 const SpecReporter = SpecReporterCjs && SpecReporterCjs.default ? SpecReporterCjs.default : SpecReporterCjs;
 
+// Reporter options (Jest config), all optional:
+//   reporters: [['<rootDir>/scripts/filter-mocha-spec.js', {
+//     hide: ['pending', 'todo', 'skipped'],  // statuses to hide (default: ['pending'])
+//     failuresOnly: true,                     // hide everything but failures
+//     testPathGlob: 'packages/bar/**',        // only show test files matching (string or array, relative to rootDir)
+//     testNamePattern: 'parser',              // only show tests whose full name matches this regex
+//     ledger: 'test-results/skipped-tests.json',  // skipped-test ledger (relative to rootDir)
+//     skipBudget: 20,                         // fail the run when more tests than this are skipped
+//     skipBaseline: 'skipped-tests.baseline.json' // fail the run on skips not listed in this committed ledger
+//   }]]
+// Failed tests are never hidden, so a filter can't make a broken run look green.
+// Hidden results are taken out of the per-suite and aggregated counters, and the
+// run ends with one line saying how many were hidden (skipped tests aside, which
+// the ledger section lists).
+//
+// Skipped-test ledger: every pending / skipped / disabled / todo test (hidden or not) is
+// recorded with its file, full name and reason, taken from a "// skip: <reason>"
+// comment on the skip call's line or just above it:
+//   // skip: flaky on CI until the mock server is fixed
+//   it.skip('retries the upload', ...);
+// The run prints the skips grouped by file (after the spec reporter's summary, in
+// its layout) and writes them to the ledger file
+// ({total, skipped:[{file, fullName, status, reason}]}). A baseline is a copy of
+// a ledger; entries are matched by file and full name. Going over the budget or
+// skipping a test the baseline doesn't list fails the run: the problems are
+// printed once, under SKIPPED TEST CHECK, and getLastError hands Jest the error
+// (Jest uses it only to fail the run; it never prints it). Everything is reset
+// at the start of each run, so `jest --watch` reruns start from scratch.
+const HIDEABLE_STATUSES = ['passed', 'pending', 'todo', 'skipped', 'disabled'];
+
+// Jest counts skipped and disabled tests as pending.
+const SUITE_COUNTERS = {passed: 'numPassingTests', pending: 'numPendingTests', skipped: 'numPendingTests', disabled: 'numPendingTests', todo: 'numTodoTests'};
+const AGGREGATED_COUNTERS = {passed: 'numPassedTests', pending: 'numPendingTests', skipped: 'numPendingTests', disabled: 'numPendingTests', todo: 'numTodoTests'};
+
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      re += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else {
+      re += ch.replace(/[.+^$(){}|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function normalizeOptions(options = {}) {
+  const hide = options.failuresOnly ? HIDEABLE_STATUSES : [].concat(options.hide === undefined ? ['pending'] : options.hide);
+  const unknown = hide.filter(status => !HIDEABLE_STATUSES.includes(status));
+  if (unknown.length > 0) {
+    throw new Error(`FilterMochaSpecReporter: cannot hide status "${unknown.join(', ')}". Expected one of: ${HIDEABLE_STATUSES.join(', ')}.`);
+  }
+
+  const globs = options.testPathGlob === undefined ? [] : [].concat(options.testPathGlob);
+  return {
+    hide: new Set(hide),
+    testPaths: globs.map(globToRegExp),
+    testName: options.testNamePattern ? new RegExp(options.testNamePattern) : null
+  };
+}
+
+const SKIPPED_STATUSES = ['pending', 'skipped', 'disabled', 'todo'];
+
+const SKIP_CALL = /\b(?:x(?:it|test|describe)|(?:it|test|describe)\.skip|(?:it|test)\.todo)\s*\(/;
+const SKIP_COMMENT = /(?:\/\/|\/\*|^\s*\*)\s*skip:\s*(.+?)\s*(?:\*\/\s*)?$/i;
+
+// Reason of the first skip call naming the test or one of its describe blocks (innermost first).
+function skipReason(source, titles) {
+  const lines = source.split(/\r?\n/);
+  for (const title of titles) {
+    const index = lines.findIndex(line => SKIP_CALL.test(line) && ['\'', '"', '`'].some(q => line.includes(`${q}${title}${q}`)));
+    if (index === -1) continue;
+
+    const sameLine = SKIP_COMMENT.exec(lines[index]);
+    if (sameLine) return sameLine[1];
+    for (let i = index - 1; i >= 0 && /^\s*(?:\/\/|\/\*|\*)/.test(lines[i]); i--) {
+      const above = SKIP_COMMENT.exec(lines[i]);
+      if (above) return above[1];
+    }
+    return null;
+  }
+  return null;
+}
+
+// Bold / underline / gray like the spec reporter's output, when stdout is a terminal.
+function ansi(codes, text) {
+  return process.stdout.isTTY ? `\u001b[${codes}m${text}\u001b[0m` : text;
+}
+
+function readLedger(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err && err.code === 'ENOENT') return null;
+    throw new Error(`FilterMochaSpecReporter: could not read ${filePath}: ${err && err.message ? err.message : String(err)}`);
+  }
+}
+
+function ledgerKey(entry) {
+  return `${entry.file}\u0000${entry.fullName}`;
+}
+
+function decrement(target, key, by) {
+  if (target && typeof target[key] === 'number') target[key] = Math.max(0, target[key] - by);
+}
+
 export default class FilterMochaSpecReporter {
   constructor(globalConfig, options) {
     this._delegate = new SpecReporter(globalConfig, options);
-    this.getLastError = this._delegate.getLastError ? this._delegate.getLastError.bind(this._delegate) : undefined;
+    this._delegateLastError = this._delegate.getLastError ? this._delegate.getLastError.bind(this._delegate) : undefined;
+    this._rootDir = (globalConfig && globalConfig.rootDir) || process.cwd();
+    this._filters = normalizeOptions(options);
+    this._ledger = {
+      path: options && options.ledger ? path.resolve(this._rootDir, options.ledger) : null,
+      budget: options && typeof options.skipBudget === 'number' ? options.skipBudget : null,
+      baseline: options && options.skipBaseline ? path.resolve(this._rootDir, options.skipBaseline) : null
+    };
+    this._reset();
+  }
+
+  _reset() {
+    this._hidden = 0;
+    this._skipped = [];
+    this._sources = new Map();
+    this._error = undefined;
+  }
+
+  _source(filePath) {
+    if (!this._sources.has(filePath)) {
+      let source = '';
+      try {
+        source = fs.readFileSync(filePath, 'utf8');
+      } catch {}
+      this._sources.set(filePath, source);
+    }
+    return this._sources.get(filePath);
+  }
+
+  _recordSkipped(testResult, relPath) {
+    testResult.testResults.filter(r => SKIPPED_STATUSES.includes(r.status)).forEach(r => {
+      const titles = [r.title, ...(r.ancestorTitles || []).slice().reverse()].filter(Boolean);
+      this._skipped.push({
+        file: relPath,
+        fullName: r.fullName || titles.slice().reverse().join(' '),
+        status: r.status,
+        reason: skipReason(this._source(testResult.testFilePath), titles)
+      });
+    });
+  }
+
+  _finishLedger() {
+    const skipped = this._skipped.slice().sort((a, b) => a.file.localeCompare(b.file) || a.fullName.localeCompare(b.fullName));
+    if (skipped.length > 0) {
+      const byFile = skipped.reduce((acc, entry) => acc.set(entry.file, [...(acc.get(entry.file) || []), entry]), new Map());
+      console.log();
+      console.log(ansi('1;4', `SKIPPED TESTS (${skipped.length}):`));
+      byFile.forEach((entries, file) => {
+        console.log(ansi('1', `  ${file}`));
+        entries.forEach(entry => console.log(ansi('90', `    ✖ ${entry.fullName} (${entry.reason || 'no skip: reason'})`)));
+      });
+    }
+
+    if (this._ledger.path) {
+      fs.mkdirSync(path.dirname(this._ledger.path), {recursive: true});
+      fs.writeFileSync(this._ledger.path, `${JSON.stringify({total: skipped.length, skipped}, null, 2)}\n`, 'utf8');
+    }
+
+    const problems = [];
+    if (this._ledger.budget !== null && skipped.length > this._ledger.budget) {
+      problems.push(`${skipped.length} skipped tests exceed the budget of ${this._ledger.budget}.`);
+    }
+    if (this._ledger.baseline) {
+      const baseline = readLedger(this._ledger.baseline);
+      const known = new Set((baseline && Array.isArray(baseline.skipped) ? baseline.skipped : []).map(ledgerKey));
+      const added = skipped.filter(entry => !known.has(ledgerKey(entry)));
+      if (added.length > 0) {
+        const where = path.relative(this._rootDir, this._ledger.baseline).split(path.sep).join('/');
+        problems.push([
+          `${added.length} skipped test(s) not in ${where}${baseline ? '' : ' (missing)'}:`,
+          ...added.map(entry => `  - ${entry.file}: ${entry.fullName}`)
+        ].join('\n'));
+      }
+    }
+
+    if (problems.length > 0) {
+      console.log();
+      console.log(ansi('1;4', 'SKIPPED TEST CHECK:'));
+      problems.forEach(problem => console.log(ansi('31', problem)));
+      this._error = new Error(`Skipped-test check failed:\n${problems.join('\n')}`);
+    }
+  }
+
+  // Jest fails the run when a reporter reports an error here.
+  getLastError() {
+    return this._error || (this._delegateLastError ? this._delegateLastError() : undefined);
   }
 
   onRunStart(results, options) {
+    this._reset();
     return this._delegate.onRunStart ? this._delegate.onRunStart(results, options) : undefined;
   }
 
+  _isHidden(r, fileShown) {
+    if (r.status === 'failed') return false;
+    if (!fileShown || this._filters.hide.has(r.status)) return true;
+    return Boolean(this._filters.testName) && !this._filters.testName.test(r.fullName || r.title || '');
+  }
+
   onTestResult(test, testResult, aggregatedResult) {
+    const relPath = path.relative(this._rootDir, testResult.testFilePath || '').split(path.sep).join('/');
+    const fileShown = this._filters.testPaths.length === 0 || this._filters.testPaths.some(re => re.test(relPath));
+    this._recordSkipped(testResult, relPath);
+    const hidden = testResult.testResults.filter(r => this._isHidden(r, fileShown));
+
     const filteredTestResult = {
       ...testResult,
-      testResults: testResult.testResults.filter(r => r.status !== 'pending')
+      testResults: testResult.testResults.filter(r => !hidden.includes(r))
     };
 
-    const pendingHere = testResult.testResults.filter(r => r.status === 'pending').length;
-    aggregatedResult && typeof aggregatedResult.numPendingTests === 'number'
-      ? aggregatedResult.numPendingTests = Math.max(0, (aggregatedResult.numPendingTests || 0) - pendingHere)
-      : null;
+    hidden.forEach(r => {
+      decrement(filteredTestResult, SUITE_COUNTERS[r.status], 1);
+      decrement(aggregatedResult, AGGREGATED_COUNTERS[r.status], 1);
+    });
+    decrement(aggregatedResult, 'numTotalTests', hidden.length);
+    // Skipped tests are listed in the SKIPPED TESTS section anyway, so they don't count as hidden.
+    this._hidden += hidden.filter(r => !SKIPPED_STATUSES.includes(r.status)).length;
+
+    // A file with nothing left to show (and no error of its own) is left out entirely.
+    if (filteredTestResult.testResults.length === 0 && hidden.length > 0 && !testResult.testExecError) return undefined;
 
     return this._delegate.onTestResult ? this._delegate.onTestResult(test, filteredTestResult, aggregatedResult) : undefined;
   }
 
   onRunComplete(contexts, aggregatedResult) {
-    return this._delegate.onRunComplete ? this._delegate.onRunComplete(contexts, aggregatedResult) : undefined;
+    const result = this._delegate.onRunComplete ? this._delegate.onRunComplete(contexts, aggregatedResult) : undefined;
+    const finish = () => {
+      this._finishLedger();
+      if (this._hidden > 0) console.log(`${this._hidden} test result(s) hidden by FilterMochaSpecReporter filters.`);
+    };
+    if (result && typeof result.then === 'function') return result.then(finish);
+    finish();
+    return result;
   }
 }
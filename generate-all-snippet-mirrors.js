@@ -2,56 +2,204 @@
 /**
  * scripts/generate-all-snippet-mirror.js
  *
- * Generates mirrors for ALL .docx files under /snippets.
+ * Generates mirrors for ALL .docx files under /snippets (or the configured source roots).
+ * Word templates and macro-enabled files (.dotx, .docm, .dotm) are sources too; they
+ * mirror to the same name as a .docx would, so sources that differ only in extension
+ * (a.docx and a.dotx) collide and are reported as failed instead of overwriting each other.
  *
  * Features:
+ * - Roots, include/exclude globs, default format and extra pandoc arguments come from
+ *   .snippet-mirror.json or package.json "snippetMirror" (see snippet-mirror-config.js);
+ *   config=<path> picks another file and CLI flags override it
  * - Default output format: gfm (Markdown)
- * - format=<gfm|markdown|html>
+ * - format=<gfm|markdown|html|json>[,...]: several formats (e.g. format=gfm,html,json) are
+ *   produced from one XML mutation pass per document; json is pandoc's AST
  * - --clean: deletes ONLY subfolders within snippets-mirror/ (keeps files like README.md at root)
- * - Cleans up stale mirrors (deletes mirrors with no corresponding .docx source)
+ * - Writes INDEX.md (and index.html when generating HTML) into each mirror root, listing
+ *   every mirror by folder with its title, word count, field count and a link
+ * - html=<fragment|site>: HTML mirrors as pandoc fragments (default) or as standalone pages
+ *   with embedded CSS and hoverable fields; site mode also writes snippet-site-nav.js into each
+ *   mirror root, the sidebar of the snippet tree shown on every page (works offline)
+ * - Cleans up stale mirrors (deletes mirrors and image asset folders with no corresponding .docx source,
+ *   and mirrors in formats that are no longer requested)
+ * - Incremental: snippets-mirror/.snippet-mirror-manifest.json records each source's
+ *   hash plus the settings used; unchanged sources are skipped
+ * - --force: ignores the manifest and regenerates everything
+ * - engine=<pandoc|builtin|auto> (default: pandoc; auto falls back to builtin without pandoc)
+ * - revisions=<accept|reject|show>: tracked changes (default: accept); show also lists review comments
+ * - fields=<code|value|both>: DOCPROPERTY fields as code (default), as the property's value, or both
+ * - tables=<auto|html|native>: Markdown tables with merged cells or nested tables as embedded HTML
+ *   (auto, default), every table as HTML, or left to the engine (replaces the config file's tables)
+ * - jobs=<n>: number of documents converted concurrently (default: CPU count)
+ * - --vba-modules: lists the VBA module names of .docm / .dotm sources at the end of their
+ *   mirrors (replaces the config file's vbaModules)
+ * - --fields-json: writes a <mirror>.fields.json inventory per snippet plus
+ *   snippets-mirror/field-usage.json mapping each field name to the snippets using it
+ * - --where-used=<name>: lists snippets using a field name (reads existing sidecars; no generation)
+ * - --staged: pre-commit mode; regenerates/deletes mirrors only for .docx files added,
+ *   modified, renamed or deleted in the git index (using the staged content) and stages them
+ * - install-hook: adds a --staged call to .git/hooks/pre-commit, keeping existing hook content;
+ *   any other arguments (e.g. format=html) are passed through to the hook command
+ * - --watch: after an initial incremental run, watches snippets/ and regenerates the mirror of
+ *   each changed .docx (debounced, default 500ms via debounce=<ms>); Word lock files (~$*.docx)
+ *   are ignored and mirrors of deleted/renamed sources are removed
+ * - pandoc-arg=<arg>: extra pandoc argument (repeatable; replaces the config file's pandocArgs)
+ * - --check: renders every mirror in memory and compares with disk without writing anything;
+ *   stale, missing and orphaned mirrors are reported (with a unified diff) and exit non-zero
+ * - --verify: checks each Markdown / HTML mirror against its provenance header without converting
+ *   anything; hand-edited mirrors and mirrors whose .docx changed or vanished exit non-zero
+ *   (with --report=json, prints the per-mirror results as JSON)
+ * - --report=json: prints a JSON run report instead of the text summary: each source's status,
+ *   mirror paths, duration and error, plus the stale mirrors deleted (see buildRunReport)
+ * - --dry-run: decides what would be generated (from the manifest) and which stale mirrors or
+ *   --clean folders would be deleted, and reports it without touching the filesystem
+ *
+ * The batch run is also available programmatically: generateAllMirrors() (with dryRun / clean
+ * options) and buildRunReport().
  *
  * Usage (repo root):
  *   node scripts/generate-all-snippet-mirror.js
  *   node scripts/generate-all-snippet-mirror.js format=html
+ *   node scripts/generate-all-snippet-mirror.js format=gfm,html html=site
+ *   node scripts/generate-all-snippet-mirror.js format=gfm,html,json
  *   node scripts/generate-all-snippet-mirror.js --clean
+ *   node scripts/generate-all-snippet-mirror.js --force
+ *   node scripts/generate-all-snippet-mirror.js jobs=4
+ *   node scripts/generate-all-snippet-mirror.js engine=auto
+ *   node scripts/generate-all-snippet-mirror.js revisions=show
+ *   node scripts/generate-all-snippet-mirror.js fields=value
+ *   node scripts/generate-all-snippet-mirror.js --fields-json
+ *   node scripts/generate-all-snippet-mirror.js --vba-modules
+ *   node scripts/generate-all-snippet-mirror.js --where-used=ClientName
+ *   node scripts/generate-all-snippet-mirror.js --check
+ *   node scripts/generate-all-snippet-mirror.js --verify
+ *   node scripts/generate-all-snippet-mirror.js --dry-run --report=json
+ *   node scripts/generate-all-snippet-mirror.js --staged
+ *   node scripts/generate-all-snippet-mirror.js --watch
+ *   node scripts/generate-all-snippet-mirror.js install-hook
  *   node scripts/generate-all-snippet-mirror.js --debug-xml
+ *   node scripts/generate-all-snippet-mirror.js config=ci/snippet-mirror.json pandoc-arg=--wrap=none
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
-import {generateSnippetMirror} from './generate-snippet-mirror.js';
+import os from 'node:os';
+import crypto from 'node:crypto';
+import {spawnSync} from 'node:child_process';
+import {fileURLToPath} from 'node:url';
+import {
+  generateSnippetMirror,
+  renderSnippetMirror,
+  resolveEngine,
+  normalizeFormats,
+  outputExtensionFor,
+  mirrorPathForDocx,
+  fieldsSidecarPathFor,
+  assetsDirPathFor,
+  FORMATS,
+  GENERATOR_VERSION
+} from './generate-snippet-mirror.js';
+import {unifiedDiff} from './snippet-mirror-diff.js';
+import {loadConfig,isIncludedSource,rootForSource} from './snippet-mirror-config.js';
+import {INDEX_FILE_NAME,INDEX_HTML_FILE_NAME,renderIndexMarkdown,renderIndexHtml,siteNavGroups} from './snippet-mirror-index.js';
+import {SITE_NAV_FILE_NAME,HTML_MODES,normalizeHtmlMode,renderSiteNavScript} from './snippet-mirror-site.js';
+import {verifyMirrorFile} from './snippet-mirror-provenance.js';
+import {isWordSource} from './snippet-mirror-package.js';
+
+const DEFAULTS={format:'gfm',clean:false,debugXml:false,force:false,jobs:defaultJobCount(),engine:'pandoc',fieldsJson:false,revisions:'accept',fields:'code',whereUsed:null,check:false,verify:false,staged:false,installHook:false,watch:false,debounceMs:500,report:'text',dryRun:false};
+
+const REPORT_FORMATS=['text','json'];
+
+// Both live in the first root's mirror folder (snippets-mirror/ by default).
+const MANIFEST_FILE_NAME='.snippet-mirror-manifest.json';
+const MANIFEST_VERSION=1;
+
+const FIELD_USAGE_FILE_NAME='field-usage.json';
+
+function manifestPathFor(config) {
+  return path.join(config.roots[0].mirror,MANIFEST_FILE_NAME);
+}
+
+function fieldUsagePathFor(config) {
+  return path.join(config.roots[0].mirror,FIELD_USAGE_FILE_NAME);
+}
+
+function defaultJobCount() {
+  const cpus=typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1,cpus || 1);
+}
 
-const DEFAULTS={format:'gfm',clean:false,debugXml:false};
+function parseJobCount(value) {
+  const n=Number.parseInt(value,10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
 
 function parseCliArgs(argv) {
-  const initial={format:DEFAULTS.format,clean:DEFAULTS.clean,debugXml:DEFAULTS.debugXml};
+  // format, tables, html and pandocArgs stay null unless given, so the config file can supply them.
+  const initial={format:null,configPath:null,pandocArgs:null,tables:null,html:null,vbaModules:false,clean:DEFAULTS.clean,debugXml:DEFAULTS.debugXml,force:DEFAULTS.force,jobs:DEFAULTS.jobs,engine:DEFAULTS.engine,fieldsJson:DEFAULTS.fieldsJson,revisions:DEFAULTS.revisions,fields:DEFAULTS.fields,whereUsed:DEFAULTS.whereUsed,check:DEFAULTS.check,verify:DEFAULTS.verify,staged:DEFAULTS.staged,installHook:DEFAULTS.installHook,watch:DEFAULTS.watch,debounceMs:DEFAULTS.debounceMs,report:DEFAULTS.report,dryRun:DEFAULTS.dryRun};
 
   return argv.slice(2).reduce((acc,arg)=>{
     if (arg === '--clean') return {...acc,clean:true};
+    if (arg === '--force') return {...acc,force:true};
+    if (arg === '--fields-json') return {...acc,fieldsJson:true};
+    if (arg === '--vba-modules') return {...acc,vbaModules:true};
+    if (arg === '--check') return {...acc,check:true};
+    if (arg === '--verify') return {...acc,verify:true};
+    if (arg === '--staged') return {...acc,staged:true};
+    if (arg === 'install-hook') return {...acc,installHook:true};
+    if (arg === '--watch') return {...acc,watch:true};
+    if (arg === '--dry-run') return {...acc,dryRun:true};
+    if (arg.startsWith('--report=')) {
+      const report=arg.slice('--report='.length).trim().toLowerCase();
+      return {...acc,report:report || acc.report};
+    }
+    if (arg.startsWith('debounce=')) {
+      const ms=Number.parseInt(arg.slice('debounce='.length),10);
+      return {...acc,debounceMs:Number.isFinite(ms) && ms >= 0 ? ms : acc.debounceMs};
+    }
+    if (arg.startsWith('--where-used=')) {
+      const name=arg.slice('--where-used='.length).trim();
+      return {...acc,whereUsed:name || acc.whereUsed};
+    }
     if (arg === '--debug-xml') return {...acc,debugXml:true};
     if (arg.startsWith('format=')) {
       const format=arg.slice('format='.length).trim().toLowerCase();
       return {...acc,format:format || acc.format};
     }
+    if (arg.startsWith('engine=')) {
+      const engine=arg.slice('engine='.length).trim().toLowerCase();
+      return {...acc,engine:engine || acc.engine};
+    }
+    if (arg.startsWith('revisions=')) {
+      const revisions=arg.slice('revisions='.length).trim().toLowerCase();
+      return {...acc,revisions:revisions || acc.revisions};
+    }
+    if (arg.startsWith('fields=')) {
+      const fields=arg.slice('fields='.length).trim().toLowerCase();
+      return {...acc,fields:fields || acc.fields};
+    }
+    if (arg.startsWith('tables=')) {
+      const tables=arg.slice('tables='.length).trim().toLowerCase();
+      return {...acc,tables:tables || acc.tables};
+    }
+    if (arg.startsWith('html=')) {
+      const html=arg.slice('html='.length).trim().toLowerCase();
+      return {...acc,html:html || acc.html};
+    }
+    if (arg.startsWith('config=')) {
+      const configPath=arg.slice('config='.length).trim();
+      return {...acc,configPath:configPath || acc.configPath};
+    }
+    if (arg.startsWith('pandoc-arg=')) {
+      return {...acc,pandocArgs:[...(acc.pandocArgs || []),arg.slice('pandoc-arg='.length)]};
+    }
+    if (arg.startsWith('jobs=')) {
+      return {...acc,jobs:parseJobCount(arg.slice('jobs='.length)) || acc.jobs};
+    }
     return acc;
   },initial);
 }
 
-function isHtmlFormat(format) {
-  return (format || '').toLowerCase() === 'html';
-}
-
-function outputExtensionFor(format) {
-  return isHtmlFormat(format) ? '.html' : '.md';
-}
-
-function normalizeFormat(format) {
-  const f=(format || '').toLowerCase();
-  if (f === 'md') return 'gfm';
-  if (f === 'markdown') return 'gfm';
-  return f || 'gfm';
-}
-
 function walkFiles(dir) {
   if (!fs.existsSync(dir)) return [];
   const entries=fs.readdirSync(dir,{withFileTypes:true});
@@ -63,61 +211,153 @@ function walkFiles(dir) {
   });
 }
 
-function listDocxFilesUnderSnippets() {
-  return walkFiles('snippets').filter(p=>p.toLowerCase().endsWith('.docx'));
+function isWordLockFile(filePath) {
+  return path.basename(filePath).startsWith('~$');
 }
 
-function mirrorPathForDocx(docxPath,format) {
-  const ext=outputExtensionFor(format);
-  const normalized=docxPath.replace(/\\/g,'/');
-  const rel=normalized.slice('snippets/'.length).replace(/\.docx$/i,ext);
-  return path.join('snippets-mirror',...rel.split('/'));
+/**
+ * listSourceDocxFiles(config)
+ *
+ * Every .docx (.dotx, .docm, .dotm) under the configured source roots that
+ * passes the include / exclude globs, as repo-relative forward-slash paths.
+ */
+export function listSourceDocxFiles(config) {
+  return config.roots
+    .flatMap(root=>walkFiles(root.source))
+    .map(p=>p.split(path.sep).join('/'))
+    .filter(isWordSource)
+    .filter(p=>!isWordLockFile(p))
+    .filter(p=>isIncludedSource(config,p))
+    .sort();
 }
 
-function listMirrorFiles(format) {
-  const ext=outputExtensionFor(format).toLowerCase();
-  return walkFiles('snippets-mirror').filter(p=>p.toLowerCase().endsWith(ext));
+function mirrorPathsForDocx(docxPath,formats,config) {
+  return formats.map(format=>mirrorPathForDocx(docxPath,format,config));
 }
 
-function cleanMirrorOutput() {
-  const root='snippets-mirror';
-  if (!fs.existsSync(root)) return;
+/**
+ * findMirrorCollisions(sources,formats,config)
+ *
+ * Sources whose mirror path another source produces too (a.docx / a.dotx, or
+ * names differing only in case), mapped to the error to report for them.
+ */
+export function findMirrorCollisions(sources,formats,config) {
+  const byMirror=sources.reduce((acc,source)=>{
+    const key=manifestKeyFor(mirrorPathForDocx(source,formats[0],config)).toLowerCase();
+    return acc.set(key,[...(acc.get(key) || []),source]);
+  },new Map());
 
-  // Delete only subfolders, keep files directly within snippets-mirror (e.g., README.md).
-  fs.readdirSync(root,{withFileTypes:true})
-    .filter(entry=>entry.isDirectory())
-    .forEach(entry=>{
-      fs.rmSync(path.join(root,entry.name),{recursive:true,force:true});
-    });
+  return new Map([...byMirror.values()].filter(group=>group.length > 1).flatMap(group=>{
+    const mirrorPath=manifestKeyFor(mirrorPathForDocx(group[0],formats[0],config));
+    const error=`Mirror path collision: ${group.join(', ')} ${group.length === 2 ? 'both' : 'all'} map to ${mirrorPath}. Rename all but one of them.`;
+    return group.map(source=>[source,error]);
+  }));
 }
 
-function removeStaleMirrors({docxFiles,format}) {
-  const expected=new Set(
-    docxFiles.map(docx=>path.resolve(mirrorPathForDocx(docx,format)))
-  );
+/**
+ * listMirrorFiles()
+ *
+ * Mirrors of every known format (so switching formats cleans up the old ones);
+ * .fields.json sidecars are listed separately despite ending in .json.
+ */
+function listMirrorFiles(config) {
+  const exts=FORMATS.map(outputExtensionFor);
+  return config.roots.flatMap(root=>walkFiles(root.mirror))
+    .filter(p=>exts.some(ext=>p.toLowerCase().endsWith(ext)))
+    .filter(p=>!p.toLowerCase().endsWith('.fields.json'));
+}
 
-  const mirrors=listMirrorFiles(format)
-    .map(p=>path.resolve(p));
+/**
+ * cleanMirrorOutput(config,{dryRun})
+ *
+ * Returns the folders removed (or, with dryRun, the ones that would be).
+ */
+function cleanMirrorOutput(config,{dryRun=false}={}) {
+  return config.roots.map(root=>root.mirror).filter(dir=>fs.existsSync(dir)).flatMap(dir=>{
+    // Delete only subfolders, keep files directly within the mirror root (e.g., README.md).
+    const subfolders=fs.readdirSync(dir,{withFileTypes:true})
+      .filter(entry=>entry.isDirectory())
+      .map(entry=>path.join(dir,entry.name));
+    if (!dryRun) {
+      subfolders.forEach(subfolder=>{
+        fs.rmSync(subfolder,{recursive:true,force:true});
+      });
+    }
+    return subfolders;
+  });
+}
 
-  mirrors.forEach(mirror=>{
-    // Always keep root README.md (and any other root files); stale cleanup only for mirrors.
-    const rel=path.relative(path.resolve('snippets-mirror'),mirror);
-    if (!rel || rel.startsWith('..')) return;
-    if (!rel.includes(path.sep)) return; // file directly under snippets-mirror/
+function isInsideDir(dir,filePath) {
+  const rel=path.relative(path.resolve(dir),path.resolve(filePath));
+  return Boolean(rel) && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
 
-    if (!expected.has(mirror)) {
-      fs.rmSync(mirror,{force:true});
-    }
+function isInAssetsDir(filePath) {
+  return path.dirname(filePath).toLowerCase().endsWith('.assets');
+}
+
+/**
+ * findStaleMirrors({docxFiles,formats,fieldsJson,config})
+ *
+ * Mirrors (field sidecars, image assets) under mirror root subfolders that no
+ * source would produce (including sources now excluded by the config). Files
+ * directly in a mirror root (README.md, reports) are never stale. Images inside a live mirror's assets folder are
+ * pruned by generateSnippetMirror() instead.
+ */
+function findStaleMirrors({docxFiles,formats,fieldsJson,config}) {
+  const expectedMirrors=docxFiles.flatMap(docx=>mirrorPathsForDocx(docx,formats,config));
+  const expected=new Set([
+    ...expectedMirrors,
+    ...(fieldsJson ? expectedMirrors.map(fieldsSidecarPathFor) : [])
+  ].map(p=>path.resolve(p)));
+  const expectedAssetDirs=new Set(expectedMirrors.map(p=>path.resolve(assetsDirPathFor(p))));
+
+  const files=config.roots.flatMap(root=>walkFiles(root.mirror));
+  const sidecars=files.filter(p=>p.toLowerCase().endsWith('.fields.json'));
+  const assets=files.filter(p=>isInAssetsDir(p) && !expectedAssetDirs.has(path.resolve(path.dirname(p))));
+
+  return [...listMirrorFiles(config).filter(p=>!isInAssetsDir(p)),...sidecars,...assets].filter(mirror=>{
+    const inSubfolder=config.roots.some(root=>{
+      const rel=path.relative(path.resolve(root.mirror),path.resolve(mirror));
+      return rel && !rel.startsWith('..') && rel.includes(path.sep); // not directly under the mirror root
+    });
+    return inSubfolder && !expected.has(path.resolve(mirror));
   });
+}
 
-  // Remove now-empty directories (but never remove snippets-mirror itself).
-  const allDirs=walkFiles('snippets-mirror')
-    .map(p=>path.dirname(p))
-    .filter((v,i,a)=>a.indexOf(v) === i)
-    .sort((a,b)=>b.length-a.length);
+/**
+ * removeStaleMirrors({docxFiles,formats,fieldsJson,config,dryRun})
+ *
+ * Returns the files deleted (or, with dryRun, the ones that would be).
+ */
+function removeStaleMirrors({docxFiles,formats,fieldsJson,config,dryRun=false}) {
+  const stale=findStaleMirrors({docxFiles,formats,fieldsJson,config});
+  if (dryRun) return stale;
+
+  stale.forEach(mirror=>{
+    fs.rmSync(mirror,{force:true});
+  });
+
+  removeEmptyMirrorDirs(config);
+  return stale;
+}
+
+function walkDirs(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir,{withFileTypes:true})
+    .filter(entry=>entry.isDirectory())
+    .flatMap(entry=>{
+      const full=path.join(dir,entry.name);
+      return [full,...walkDirs(full)];
+    });
+}
+
+function removeEmptyMirrorDirs(config) {
+  // Remove now-empty directories, deepest first (but never remove a mirror root itself).
+  // Directories are listed directly: once their files are gone, walkFiles() can't see them.
+  const allDirs=config.roots.flatMap(root=>walkDirs(root.mirror)).sort((a,b)=>b.length-a.length);
 
   allDirs.forEach(d=>{
-    if (d === path.resolve('snippets-mirror')) return;
     try {
       if (fs.existsSync(d) && fs.readdirSync(d).length === 0) {
         fs.rmdirSync(d);
@@ -126,41 +366,893 @@ function removeStaleMirrors({docxFiles,format}) {
   });
 }
 
-async function generateAllMirrors({format,debugXml}) {
-  const docxFiles=listDocxFilesUnderSnippets();
-  const failures=[];
+/**
+ * Manifest helpers
+ *
+ * The manifest maps each source (repo-relative, forward slashes) to:
+ *   {sourceHash, settings, mirrorPath, mirrorHashes, assetPaths, summary}
+ * where summary ({title,words,fields}) feeds the index pages, mirrorHashes
+ * maps each mirror file (one per format) to the sha256 it was written with and
+ * assetPaths lists the extracted images (named by content hash, so being there
+ * is enough).
+ *
+ * "settings" holds everything besides the source bytes that affects the mirror
+ * (output formats, resolved engine, sidecars, table mode, HTML mode, VBA module listing, pandoc arguments, generator version). A source is skipped only when its hash,
+ * its settings AND the mirror files on disk all still match, so a hand-edited
+ * mirror is regenerated by the next run.
+ */
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function manifestKeyFor(docxPath) {
+  return docxPath.replace(/\\/g,'/');
+}
+
+function hashMirrorFiles(mirrorPaths) {
+  return mirrorPaths.reduce((acc,p)=>({...acc,[manifestKeyFor(p)]:hashFile(p)}),{});
+}
+
+function settingsFor({formats,engine,fieldsJson,revisions,fields,config}) {
+  const pandocArgs=engine === 'pandoc' ? config.pandocArgs : [];
+  return {
+    format:formats.join(','),
+    engine,
+    fieldsJson:Boolean(fieldsJson),
+    revisions:revisions || DEFAULTS.revisions,
+    fields:fields || DEFAULTS.fields,
+    tables:config.tables,
+    html:config.html,
+    vbaModules:config.vbaModules,
+    generator:GENERATOR_VERSION,
+    ...(pandocArgs.length > 0 ? {pandocArgs} : {})
+  };
+}
+
+function sameSettings(a,b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isPlainObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readManifest(config) {
+  try {
+    const parsed=JSON.parse(fs.readFileSync(manifestPathFor(config),'utf8'));
+    if (parsed?.version !== MANIFEST_VERSION || !isPlainObject(parsed.entries)) return {};
+    return parsed.entries;
+  } catch {
+    return {};
+  }
+}
+
+function writeManifest(entries,config) {
+  const sorted=Object.keys(entries).sort().reduce((acc,key)=>({...acc,[key]:entries[key]}),{});
+  fs.mkdirSync(path.dirname(manifestPathFor(config)),{recursive:true});
+  fs.writeFileSync(manifestPathFor(config),`${JSON.stringify({version:MANIFEST_VERSION,entries:sorted},null,2)}\n`,'utf8');
+}
+
+function isUpToDate(entry,{sourceHash,settings,mirrorPaths}) {
+  if (!entry || !entry.summary) return false;
+  if (entry.sourceHash !== sourceHash) return false;
+  if (!sameSettings(entry.settings,settings)) return false;
+  if (settings.fieldsJson && !fs.existsSync(fieldsSidecarPathFor(mirrorPaths[0]))) return false;
+  if (!Array.isArray(entry.assetPaths) || !entry.assetPaths.every(p=>fs.existsSync(p))) return false;
+  const hashes=entry.mirrorHashes || {};
+  return mirrorPaths.every(p=>fs.existsSync(p) && hashes[manifestKeyFor(p)] === hashFile(p));
+}
+
+/**
+ * Field usage report
+ *
+ * Aggregates the per-snippet <mirror>.fields.json sidecars into:
+ *   {fields:{<name>:[{source,types,occurrences},...]}}
+ * Only fields that reference something by name (DOCPROPERTY, MERGEFIELD, REF, ...)
+ * are included. Sources without a sidecar (e.g. failed conversions) are skipped.
+ */
+function readFieldSidecar(docxPath,formats,config) {
+  try {
+    return JSON.parse(fs.readFileSync(fieldsSidecarPathFor(mirrorPathForDocx(docxPath,formats[0],config)),'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function buildFieldUsageReport(sidecars) {
+  const usage={};
+
+  sidecars.filter(Boolean).forEach(sidecar=>{
+    const perName={};
+    sidecar.fields.filter(f=>f.name).forEach(f=>{
+      const entry=perName[f.name] || {source:sidecar.source,types:[],occurrences:0};
+      if (!entry.types.includes(f.type)) entry.types.push(f.type);
+      entry.occurrences++;
+      perName[f.name]=entry;
+    });
+
+    Object.entries(perName).forEach(([name,entry])=>{
+      usage[name]=[...(usage[name] || []),{...entry,types:entry.types.sort()}];
+    });
+  });
+
+  const fields=Object.keys(usage)
+    .sort((a,b)=>a.localeCompare(b))
+    .reduce((acc,name)=>({...acc,[name]:usage[name]}),{});
+
+  return {fields};
+}
+
+function formatFieldUsageReport(report) {
+  return `${JSON.stringify(report,null,2)}\n`;
+}
+
+function writeFieldUsageReport(report,config) {
+  fs.writeFileSync(fieldUsagePathFor(config),formatFieldUsageReport(report),'utf8');
+}
+
+// Rebuilds the report from the sidecars, or removes a leftover one when sidecars are off.
+function updateFieldUsageReport(docxFiles,{formats,fieldsJson,config}) {
+  if (fieldsJson) {
+    writeFieldUsageReport(buildFieldUsageReport(docxFiles.map(docx=>readFieldSidecar(docx,formats,config))),config);
+  } else {
+    fs.rmSync(fieldUsagePathFor(config),{force:true});
+  }
+}
+
+/**
+ * whereUsed(name,{docxFiles,formats,config})
+ *
+ * Property and merge field names are case-insensitive in Word, so matching is too.
+ */
+function whereUsed(name,{docxFiles,formats,config}) {
+  const {fields}=buildFieldUsageReport(docxFiles.map(docx=>readFieldSidecar(docx,formats,config)));
+  return Object.entries(fields)
+    .filter(([fieldName])=>fieldName.toLowerCase() === name.toLowerCase())
+    .flatMap(([fieldName,uses])=>uses.map(use=>({name:fieldName,...use})));
+}
+
+/**
+ * writeIndexes(entries,{formats,config})
+ *
+ * One INDEX.md per mirror root (linking the Markdown mirrors, or the first
+ * format's) plus index.html when HTML is generated, built from the manifest
+ * entries. A page is skipped when a snippet's own mirror would have its name;
+ * returns those warnings for the caller to report. A leftover index.html is
+ * removed when HTML isn't generated.
+ * In html=site mode index.html is a site page and the sidebar script is
+ * written next to it; otherwise a leftover sidebar script is removed.
+ */
+function writeIndexes(entries,{formats,config}) {
+  const site=formats.includes('html') && normalizeHtmlMode(config.html) === 'site';
+  const pages=[
+    {name:INDEX_FILE_NAME,format:formats.includes('gfm') ? 'gfm' : formats[0],render:renderIndexMarkdown},
+    ...(formats.includes('html') ? [{name:INDEX_HTML_FILE_NAME,format:'html',render:renderIndexHtml}] : []),
+    ...(site ? [{name:SITE_NAV_FILE_NAME,format:'html',render:(items,{source})=>renderSiteNavScript(siteNavGroups(items,{source}))}] : [])
+  ];
+
+  const warnings=[];
+  config.roots.forEach(root=>{
+    if (!formats.includes('html')) fs.rmSync(path.join(root.mirror,INDEX_HTML_FILE_NAME),{force:true});
+    if (!site) fs.rmSync(path.join(root.mirror,SITE_NAV_FILE_NAME),{force:true});
+
+    const sources=Object.keys(entries).filter(source=>rootForSource(config,source) === root);
+    const relToRoot=p=>path.relative(root.mirror,p).split(path.sep).join('/');
+    const mirrorRels=sources.flatMap(source=>mirrorPathsForDocx(source,formats,config).map(relToRoot));
+
+    pages.forEach(page=>{
+      if (mirrorRels.some(rel=>rel.toLowerCase() === page.name.toLowerCase())) {
+        warnings.push(`Skipped ${path.join(root.mirror,page.name).replace(/\\/g,'/')}: a snippet mirror has the same name.`);
+        return;
+      }
+      const items=sources.map(source=>({
+        rel:relToRoot(mirrorPathForDocx(source,page.format,config)),
+        ...entries[source].summary
+      }));
+      fs.mkdirSync(root.mirror,{recursive:true});
+      fs.writeFileSync(path.join(root.mirror,page.name),page.render(items,{source:root.source,site}),'utf8');
+    });
+  });
+  return warnings;
+}
+
+/**
+ * runWithConcurrency(items,limit,worker)
+ *
+ * Runs worker(item,index) over items with at most `limit` in flight.
+ * Results are returned in input order regardless of completion order.
+ */
+async function runWithConcurrency(items,limit,worker) {
+  const results=new Array(items.length);
+  let next=0;
+
+  async function drain() {
+    while (next < items.length) {
+      const index=next++;
+      results[index]=await worker(items[index],index);
+    }
+  }
+
+  const poolSize=Math.max(1,Math.min(limit || 1,items.length));
+  await Promise.all(Array.from({length:poolSize},()=>drain()));
+  return results;
+}
+
+/**
+ * mirrorOne({docxPath,...,settings,previousEntry,dryRun})
+ *
+ * Resolves with {docxPath,status,durationMs,entry?,error?}; status is generated,
+ * unchanged, failed or (dryRun) would-generate.
+ */
+async function mirrorOne({docxPath,formats,debugXml,engine,fieldsJson,revisions,fields,config,settings,previousEntry,dryRun=false}) {
+  const started=Date.now();
+  const timed=result=>({...result,durationMs:Date.now()-started});
+
+  try {
+    const sourceHash=hashFile(docxPath);
+    const mirrorPaths=mirrorPathsForDocx(docxPath,formats,config);
+
+    if (!debugXml && isUpToDate(previousEntry,{sourceHash,settings,mirrorPaths})) {
+      return timed({docxPath,status:'unchanged',entry:previousEntry});
+    }
+    if (dryRun) {
+      return timed({docxPath,status:'would-generate'});
+    }
+
+    const {summary,assetPaths}=await generateSnippetMirror({docxPath,format:formats,debugXml,engine,fieldsJson,revisions,fields,config});
+    return timed({docxPath,status:'generated',entry:{sourceHash,settings,mirrorPath:manifestKeyFor(mirrorPaths[0]),mirrorHashes:hashMirrorFiles(mirrorPaths),assetPaths:assetPaths.map(manifestKeyFor),summary}});
+  } catch (err) {
+    return timed({docxPath,status:'failed',error:err?.message || String(err)});
+  }
+}
+
+/**
+ * generateAllMirrors({formats,debugXml,force,jobs,engine,fieldsJson,revisions,fields,config,clean,dryRun})
+ *
+ * The batch run: optional --clean, every source through mirrorOne(), stale
+ * cleanup, then manifest, index pages and field usage report. Resolves with
+ * {docxFiles,generated,unchanged,failures} (source path lists, failures with
+ * their error) plus the details buildRunReport() needs: results (per source,
+ * from mirrorOne), deleted (stale files), cleaned (--clean folders) and
+ * warnings (index pages that were skipped).
+ * With dryRun nothing is written or deleted; sources that would be regenerated
+ * get status would-generate and deleted / cleaned list what would go.
+ * config defaults to loadConfig(); formats (or format, as the CLI takes it:
+ * "gfm,html" or an array) defaults to the config's format.
+ */
+export async function generateAllMirrors({formats:formatOption,format,debugXml=DEFAULTS.debugXml,force=DEFAULTS.force,jobs=DEFAULTS.jobs,engine=DEFAULTS.engine,fieldsJson=DEFAULTS.fieldsJson,revisions=DEFAULTS.revisions,fields=DEFAULTS.fields,config=loadConfig(),clean=DEFAULTS.clean,dryRun=DEFAULTS.dryRun}={}) {
+  const formats=normalizeFormats(formatOption || format || config.format);
+  const cleaned=clean ? cleanMirrorOutput(config,{dryRun}) : [];
+
+  const docxFiles=listSourceDocxFiles(config);
+  // A dry-run clean leaves the files in place, so mirrors it would remove must not count as up to date.
+  const wouldBeCleaned=p=>dryRun && cleaned.some(dir=>isInsideDir(dir,p));
+  const previous=force ? {} : Object.fromEntries(Object.entries(readManifest(config))
+    .filter(([source])=>!mirrorPathsForDocx(source,formats,config).some(wouldBeCleaned)));
+
+  // Resolve "auto" once so every document (and the manifest) agrees on the engine.
+  const resolvedEngine=await resolveEngine(engine);
+  const settings=settingsFor({formats,engine:resolvedEngine,fieldsJson,revisions,fields,config});
+  const collisions=findMirrorCollisions(docxFiles,formats,config);
 
-  for (const docxPath of docxFiles) {
+  const results=await runWithConcurrency(docxFiles,jobs,docxPath=>collisions.has(docxPath) ? {docxPath,status:'failed',durationMs:0,error:collisions.get(docxPath)} : mirrorOne({
+    docxPath,
+    formats,
+    debugXml,
+    engine:resolvedEngine,
+    fieldsJson,
+    revisions,
+    fields,
+    config,
+    settings,
+    previousEntry:previous[manifestKeyFor(docxPath)],
+    dryRun
+  }));
+
+  const generated=results.filter(r=>r.status === 'generated').map(r=>r.docxPath);
+  const unchanged=results.filter(r=>r.status === 'unchanged').map(r=>r.docxPath);
+  const failures=results.filter(r=>r.status === 'failed').map(r=>({docxPath:r.docxPath,error:r.error}));
+  const entries=results
+    .filter(r=>r.entry)
+    .reduce((acc,r)=>({...acc,[manifestKeyFor(r.docxPath)]:r.entry}),{});
+
+  const deleted=removeStaleMirrors({docxFiles,formats,fieldsJson,config,dryRun}).filter(p=>!wouldBeCleaned(p));
+  if (dryRun) {
+    return {docxFiles,generated,unchanged,failures,results,deleted,cleaned,warnings:[],dryRun};
+  }
+
+  writeManifest(entries,config);
+  const warnings=writeIndexes(entries,{formats,config});
+  updateFieldUsageReport(docxFiles,{formats,fieldsJson,config});
+
+  return {docxFiles,generated,unchanged,failures,results,deleted,cleaned,warnings,dryRun};
+}
+
+/**
+ * buildRunReport(result,{formats,config})
+ *
+ * Turns a generateAllMirrors() result into the --report=json document:
+ *   {dryRun, totals:{...}, files:[{source,status,mirrorPath,mirrorPaths,durationMs,error?}],
+ *    deleted:[...], cleaned:[...], warnings:[...]}
+ * Paths use forward slashes.
+ */
+export function buildRunReport(result,{formats,config}) {
+  const files=result.results.map(r=>{
+    const mirrorPaths=mirrorPathsForDocx(r.docxPath,formats,config).map(manifestKeyFor);
+    return {
+      source:r.docxPath,
+      status:r.status,
+      mirrorPath:mirrorPaths[0],
+      mirrorPaths,
+      durationMs:r.durationMs,
+      ...(r.error ? {error:r.error} : {})
+    };
+  });
+  const count=status=>files.filter(f=>f.status === status).length;
+
+  return {
+    dryRun:Boolean(result.dryRun),
+    totals:{
+      files:files.length,
+      generated:count('generated'),
+      wouldGenerate:count('would-generate'),
+      unchanged:count('unchanged'),
+      failed:count('failed'),
+      deleted:result.deleted.length,
+      cleaned:result.cleaned.length
+    },
+    files,
+    deleted:result.deleted.map(manifestKeyFor).sort(),
+    cleaned:result.cleaned.map(manifestKeyFor).sort(),
+    warnings:result.warnings || []
+  };
+}
+
+/**
+ * Git helpers (pre-commit integration)
+ */
+function runGit(args,{encoding='utf8'}={}) {
+  const result=spawnSync('git',args,{encoding,stdio:['ignore','pipe','pipe'],maxBuffer:256*1024*1024});
+  if (result.error) {
+    throw result.error;
+  }
+  if (result.status !== 0) {
+    const stderr=Buffer.isBuffer(result.stderr) ? result.stderr.toString('utf8') : result.stderr;
+    throw new Error(`git ${args[0]} failed (exit ${result.status}):\n${stderr || ''}`);
+  }
+  return result.stdout;
+}
+
+function isTrackedPath(filePath) {
+  return Boolean(runGit(['ls-files','--',filePath.replace(/\\/g,'/')]).trim());
+}
+
+function isSnippetDocx(filePath,config) {
+  return isWordSource(filePath) && !isWordLockFile(filePath) && isIncludedSource(config,filePath);
+}
+
+/**
+ * listStagedDocxChanges(config)
+ *
+ * Reads `git diff --cached --name-status -z` and returns
+ *   {changed:[paths added/modified/renamed-to], deleted:[paths deleted/renamed-from]}
+ * limited to included .docx files under the configured source roots.
+ */
+function listStagedDocxChanges(config) {
+  const tokens=runGit(['diff','--cached','--name-status','-z','-M','--diff-filter=ACDMR']).split('\0').filter(Boolean);
+  const changed=[];
+  const deleted=[];
+
+  for (let i=0;i < tokens.length;) {
+    const status=tokens[i++];
+    if (status.startsWith('R') || status.startsWith('C')) {
+      const from=tokens[i++];
+      const to=tokens[i++];
+      if (status.startsWith('R') && isSnippetDocx(from,config)) deleted.push(from);
+      if (isSnippetDocx(to,config)) changed.push(to);
+      continue;
+    }
+    const file=tokens[i++];
+    if (!isSnippetDocx(file,config)) continue;
+    if (status === 'D') {
+      deleted.push(file);
+    } else {
+      changed.push(file);
+    }
+  }
+
+  return {changed:changed.sort(),deleted:deleted.sort()};
+}
+
+/**
+ * mirrorStagedChanges({formats,jobs,engine,fieldsJson,revisions,fields,config})
+ *
+ * Pre-commit mode: converts the staged blob of each changed .docx (not the
+ * working tree copy), deletes mirrors of deleted sources and stages the result.
+ * The manifest and the index pages are left alone; the next full run
+ * re-validates against the manifest and rebuilds the index.
+ */
+async function mirrorStagedChanges({formats,jobs=DEFAULTS.jobs,engine=DEFAULTS.engine,fieldsJson=DEFAULTS.fieldsJson,revisions=DEFAULTS.revisions,fields=DEFAULTS.fields,config}) {
+  const {changed,deleted}=listStagedDocxChanges(config);
+  const resolvedEngine=await resolveEngine(engine);
+  // Checked against the working tree plus what's staged, minus what's being deleted.
+  const collisions=findMirrorCollisions([...new Set([...listSourceDocxFiles(config),...changed])].filter(p=>!deleted.includes(p)),formats,config);
+
+  const results=await runWithConcurrency(changed,jobs,async docxPath=>{
+    if (collisions.has(docxPath)) return {docxPath,error:collisions.get(docxPath)};
+    try {
+      const docxBuffer=runGit(['cat-file','blob',`:${docxPath}`],{encoding:'buffer'});
+      const {assetsPath}=await generateSnippetMirror({docxPath,format:formats,debugXml:false,engine:resolvedEngine,fieldsJson,revisions,fields,docxBuffer,config});
+      return {docxPath,assetsPath};
+    } catch (err) {
+      return {docxPath,error:err?.message || String(err)};
+    }
+  });
+
+  const generated=results.filter(r=>!r.error).map(r=>r.docxPath);
+  const failures=results.filter(r=>r.error).map(r=>({docxPath:r.docxPath,error:r.error}));
+
+  // Everything a deleted source may have left, in any format (as a full run's stale cleanup would remove).
+  const removed=deleted.filter(docxPath=>!changed.includes(docxPath)).flatMap(docxPath=>{
+    const mirrorPaths=mirrorPathsForDocx(docxPath,FORMATS,config);
+    return [...new Set([...mirrorPaths,...mirrorPaths.map(fieldsSidecarPathFor),...mirrorPaths.map(assetsDirPathFor)])]
+      .filter(p=>fs.existsSync(p) || isTrackedPath(p));
+  });
+  removed.forEach(p=>fs.rmSync(p,{recursive:true,force:true}));
+  removeEmptyMirrorDirs(config);
+
+  const toStage=[
+    ...generated.flatMap(docxPath=>mirrorPathsForDocx(docxPath,formats,config)),
+    ...(fieldsJson ? generated.map(docxPath=>fieldsSidecarPathFor(mirrorPathForDocx(docxPath,formats[0],config))) : []),
+    // An assets folder that vanished only needs staging when git knew about it.
+    ...results.filter(r=>r.assetsPath).map(r=>r.assetsPath)
+      .filter(p=>fs.existsSync(p) || isTrackedPath(p)),
+    // Likewise for mirrors of deleted sources (they may never have been committed).
+    ...removed.filter(isTrackedPath)
+  ];
+
+  if (fieldsJson && (generated.length > 0 || removed.length > 0)) {
+    writeFieldUsageReport(buildFieldUsageReport(listSourceDocxFiles(config).map(docx=>readFieldSidecar(docx,formats,config))),config);
+    toStage.push(fieldUsagePathFor(config));
+  }
+
+  if (toStage.length > 0) {
+    runGit(['add','-A','--',...toStage.map(p=>p.replace(/\\/g,'/'))]);
+  }
+
+  return {changed,deleted,generated,removed,failures};
+}
+
+// POSIX sh single quotes: nothing inside is special except the closing quote.
+export function shellQuote(word) {
+  return `'${String(word).replace(/'/g,`'\\''`)}'`;
+}
+
+const HOOK_BEGIN='# >>> snippet-mirror >>>';
+const HOOK_END='# <<< snippet-mirror <<<';
+
+/**
+ * installPreCommitHook(passThroughArgs)
+ *
+ * Inserts our block right after the shebang of the pre-commit hook (so an
+ * existing "exit 0" further down can't skip it), or creates the hook. Existing
+ * content is kept; re-running replaces only our block. Honors core.hooksPath.
+ */
+function installPreCommitHook(passThroughArgs) {
+  const repoRoot=runGit(['rev-parse','--show-toplevel']).trim();
+  const hooksDir=path.resolve(repoRoot,runGit(['rev-parse','--git-path','hooks']).trim());
+  const hookPath=path.join(hooksDir,'pre-commit');
+
+  const scriptRel=path.relative(repoRoot,fileURLToPath(import.meta.url)).split(path.sep).join('/');
+  const command=['node',scriptRel,'--staged',...passThroughArgs].map(shellQuote).join(' ');
+  const block=`${HOOK_BEGIN}\n${command} || exit 1\n${HOOK_END}`;
+
+  const existing=fs.existsSync(hookPath) ? fs.readFileSync(hookPath,'utf8') : '';
+  const blockPattern=new RegExp(`${HOOK_BEGIN}[\\s\\S]*?${HOOK_END}`);
+
+  let next;
+  if (!existing.trim()) {
+    next=`#!/bin/sh\n${block}\n`;
+  } else if (blockPattern.test(existing)) {
+    next=existing.replace(blockPattern,block);
+  } else if (existing.startsWith('#!')) {
+    const eol=existing.indexOf('\n');
+    const shebang=eol === -1 ? existing : existing.slice(0,eol);
+    const rest=eol === -1 ? '' : existing.slice(eol+1);
+    next=`${shebang}\n${block}\n${rest}`;
+  } else {
+    next=`${block}\n${existing}`;
+  }
+
+  fs.mkdirSync(hooksDir,{recursive:true});
+  fs.writeFileSync(hookPath,next,'utf8');
+  fs.chmodSync(hookPath,0o755);
+
+  return {hookPath,command};
+}
+
+/**
+ * Watch mode
+ *
+ * fs.watch events arrive in bursts (Word writes a temp file, renames it over the
+ * .docx, touches it again...), so each path gets its own debounce timer. When a
+ * timer fires the file is regenerated if it still exists; otherwise stale
+ * mirrors are removed with the same logic as a full run. Work is serialized so
+ * the manifest and field report are never written concurrently.
+ */
+function watchDirectories(root,onEvent) {
+  try {
+    const watcher=fs.watch(root,{recursive:true},(eventType,filename)=>{
+      if (filename) onEvent(path.join(root,filename.toString()));
+    });
+    return ()=>watcher.close();
+  } catch (err) {
+    if (err?.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw err;
+  }
+
+  // Fallback for platforms without recursive fs.watch: one watcher per directory,
+  // rescanned whenever something changes so new folders are picked up.
+  const watchers=new Map();
+  const listDirs=dir=>[dir,...fs.readdirSync(dir,{withFileTypes:true})
+    .filter(entry=>entry.isDirectory())
+    .flatMap(entry=>listDirs(path.join(dir,entry.name)))];
+
+  const sync=()=>{
+    const dirs=fs.existsSync(root) ? listDirs(root) : [];
+    dirs.filter(dir=>!watchers.has(dir)).forEach(dir=>{
+      watchers.set(dir,fs.watch(dir,(eventType,filename)=>{
+        if (filename) onEvent(path.join(dir,filename.toString()));
+        sync();
+      }));
+    });
+    [...watchers.keys()].filter(dir=>!dirs.includes(dir)).forEach(dir=>{
+      watchers.get(dir).close();
+      watchers.delete(dir);
+    });
+  };
+
+  sync();
+  return ()=>watchers.forEach(w=>w.close());
+}
+
+function watchMirrors({formats,engine,fieldsJson,revisions,fields,config,debounceMs=DEFAULTS.debounceMs}) {
+  const timers=new Map();
+  let queue=Promise.resolve();
+
+  const processPath=async (docxPath)=>{
+    const resolvedEngine=await resolveEngine(engine);
+    const entries=readManifest(config);
+    const collision=findMirrorCollisions(listSourceDocxFiles(config),formats,config).get(docxPath);
+
+    if (collision) {
+      console.error(`Failed: ${docxPath}: ${collision}`);
+      return;
+    }
+    if (fs.existsSync(docxPath)) {
+      const result=await mirrorOne({
+        docxPath,
+        formats,
+        debugXml:false,
+        engine:resolvedEngine,
+        fieldsJson,
+        revisions,
+        fields,
+        config,
+        settings:settingsFor({formats,engine:resolvedEngine,fieldsJson,revisions,fields,config}),
+        previousEntry:entries[manifestKeyFor(docxPath)]
+      });
+      if (result.status === 'failed') {
+        console.error(`Failed: ${docxPath}: ${result.error}`);
+        return;
+      }
+      // Saving without changes (or an editor touching the file) leaves the mirror alone.
+      if (result.status === 'unchanged') return;
+      entries[manifestKeyFor(docxPath)]=result.entry;
+      console.log(`Regenerated: ${mirrorPathsForDocx(docxPath,formats,config).join(', ')}`);
+    } else {
+      delete entries[manifestKeyFor(docxPath)];
+      console.log(`Source removed: ${docxPath}`);
+    }
+
+    const docxFiles=listSourceDocxFiles(config);
+    removeStaleMirrors({docxFiles,formats,fieldsJson,config});
+    writeManifest(entries,config);
+    writeIndexes(entries,{formats,config}).forEach(warning=>console.warn(warning));
+    updateFieldUsageReport(docxFiles,{formats,fieldsJson,config});
+  };
+
+  const onEvent=(filePath)=>{
+    const docxPath=filePath.split(path.sep).join('/');
+    if (!isSnippetDocx(docxPath,config)) return;
+
+    clearTimeout(timers.get(docxPath));
+    timers.set(docxPath,setTimeout(()=>{
+      timers.delete(docxPath);
+      queue=queue.then(()=>processPath(docxPath)).catch(err=>{
+        console.error(err?.stack || String(err));
+      });
+    },debounceMs));
+  };
+
+  const closers=config.roots.filter(root=>fs.existsSync(root.source)).map(root=>watchDirectories(root.source,onEvent));
+  return ()=>closers.forEach(close=>close());
+}
+
+/**
+ * checkAllMirrors({formats,jobs,engine,fieldsJson,revisions,fields,config})
+ *
+ * Renders every mirror in memory (ignoring the manifest) and compares with the
+ * files on disk. Nothing is written. Returns:
+ *   {docxFiles, mismatches:[{path,docxPath,status:'stale'|'missing',diff}], orphans, failures}
+ */
+async function checkAllMirrors({formats,jobs=DEFAULTS.jobs,engine=DEFAULTS.engine,fieldsJson=DEFAULTS.fieldsJson,revisions=DEFAULTS.revisions,fields=DEFAULTS.fields,config}) {
+  const docxFiles=listSourceDocxFiles(config);
+  const resolvedEngine=await resolveEngine(engine);
+  const collisions=findMirrorCollisions(docxFiles,formats,config);
+
+  const results=await runWithConcurrency(docxFiles,jobs,async docxPath=>{
+    if (collisions.has(docxPath)) return {docxPath,error:collisions.get(docxPath)};
     try {
-      await generateSnippetMirror({docxPath,format,debugXml});
+      const {outputs}=await renderSnippetMirror({docxPath,format:formats,debugXml:false,engine:resolvedEngine,fieldsJson,revisions,fields,config});
+      return {docxPath,outputs};
     } catch (err) {
-      failures.push({docxPath,error:err?.message || String(err)});
+      return {docxPath,error:err?.message || String(err)};
     }
+  });
+
+  const expectedOutputs=results.flatMap(r=>(r.outputs || []).map(o=>({...o,docxPath:r.docxPath})));
+
+  if (fieldsJson) {
+    const sidecars=expectedOutputs
+      .filter(o=>o.path.endsWith('.fields.json'))
+      .map(o=>JSON.parse(o.content));
+    expectedOutputs.push({path:fieldUsagePathFor(config),content:formatFieldUsageReport(buildFieldUsageReport(sidecars)),docxPath:null});
   }
 
-  removeStaleMirrors({docxFiles,format});
+  const mismatches=expectedOutputs.flatMap(({path:outPath,content,docxPath})=>{
+    const displayPath=outPath.replace(/\\/g,'/');
+    if (Buffer.isBuffer(content)) {
+      // Images: names are content hashes, so only presence and bytes matter.
+      if (fs.existsSync(outPath) && fs.readFileSync(outPath).equals(content)) return [];
+      const status=fs.existsSync(outPath) ? 'stale' : 'missing';
+      return [{path:displayPath,docxPath,status,diff:`Binary file b/${displayPath} ${status === 'missing' ? 'added' : 'differs'}\n`}];
+    }
+    if (!fs.existsSync(outPath)) {
+      return [{path:displayPath,docxPath,status:'missing',diff:unifiedDiff('',content,{fromFile:'/dev/null',toFile:`b/${displayPath}`})}];
+    }
+    const onDisk=fs.readFileSync(outPath,'utf8');
+    if (onDisk === content) return [];
+    return [{path:displayPath,docxPath,status:'stale',diff:unifiedDiff(onDisk,content,{fromFile:`a/${displayPath}`,toFile:`b/${displayPath}`})}];
+  });
+
+  // Images a live mirror no longer references (pruned whenever that mirror is regenerated).
+  const expectedPaths=new Set(expectedOutputs.map(o=>path.resolve(o.path)));
+  const unusedAssets=results
+    .filter(r=>r.outputs)
+    .flatMap(r=>walkFiles(assetsDirPathFor(mirrorPathForDocx(r.docxPath,formats[0],config))))
+    .filter(p=>!expectedPaths.has(path.resolve(p)));
+
+  const orphans=[...findStaleMirrors({docxFiles,formats,fieldsJson,config}),...unusedAssets].map(p=>p.replace(/\\/g,'/'));
+  const failures=results.filter(r=>r.error).map(r=>({docxPath:r.docxPath,error:r.error}));
+
+  return {docxFiles,mismatches,orphans,failures};
+}
+
+function printCheckResult({docxFiles,mismatches,orphans,failures}) {
+  mismatches.forEach(m=>{
+    console.error(`${m.status === 'missing' ? 'Missing' : 'Stale'} mirror: ${m.path}${m.docxPath ? ` (from ${m.docxPath})` : ''}`);
+    process.stdout.write(m.diff);
+  });
+  orphans.forEach(o=>{
+    console.error(`Orphaned mirror (no source): ${o}`);
+  });
+  failures.forEach(f=>{
+    console.error(`Failed to render ${f.docxPath}: ${f.error}`);
+  });
+
+  const problems=mismatches.length+orphans.length+failures.length;
+  console.log(`Checked ${docxFiles.length} .docx file(s): ${mismatches.length} out of date, ${orphans.length} orphaned, ${failures.length} failed.`);
+  return problems === 0;
+}
+
+/**
+ * verifyAllMirrors(config)
+ *
+ * Runs verifyMirrorFile() over every Markdown / HTML mirror. JSON mirrors have
+ * no header and are skipped, as are header-less files directly in a mirror
+ * root (README.md, INDEX.md, ...). Returns {results, problems} where problems
+ * are the results that aren't ok.
+ */
+function verifyAllMirrors(config) {
+  const results=config.roots.flatMap(root=>listMirrorFiles({...config,roots:[root]})
+    .filter(p=>!p.toLowerCase().endsWith(outputExtensionFor('json')))
+    .sort()
+    .map(verifyMirrorFile)
+    .filter(r=>r.status !== 'no-header' || path.dirname(path.resolve(r.path)) !== path.resolve(root.mirror)));
+
+  return {results,problems:results.filter(r=>r.status !== 'ok')};
+}
+
+const VERIFY_MESSAGES={
+  'edited':'Hand-edited mirror (body no longer matches its provenance hash)',
+  'source-changed':'Stale mirror (source changed since it was generated)',
+  'source-missing':'Orphaned mirror (source no longer exists)',
+  'no-header':'Mirror without a provenance header'
+};
 
-  return {docxFiles,failures};
+function printVerifyResult({results,problems}) {
+  problems.forEach(r=>{
+    console.error(`${VERIFY_MESSAGES[r.status]}: ${r.path}${r.source ? ` (from ${r.source})` : ''}`);
+  });
+  console.log(`Verified ${results.length} mirror(s): ${results.length-problems.length} ok, ${problems.length} flagged.`);
+  return problems.length === 0;
 }
 
 async function main() {
   const args=parseCliArgs(process.argv);
-  const format=normalizeFormat(args.format);
+  const loadedConfig=loadConfig({configPath:args.configPath});
+  const config={...loadedConfig,pandocArgs:args.pandocArgs || loadedConfig.pandocArgs,tables:args.tables || loadedConfig.tables,html:args.html || loadedConfig.html,vbaModules:args.vbaModules || loadedConfig.vbaModules};
+  const formats=normalizeFormats(args.format || config.format);
+
+  if (!REPORT_FORMATS.includes(args.report)) {
+    console.error(`Unknown report format "${args.report}". Expected one of: ${REPORT_FORMATS.join(', ')}.`);
+    process.exit(2);
+  }
+  // Checked up front: the index pages depend on it too, not just each conversion.
+  if (!HTML_MODES.includes(config.html.toLowerCase())) {
+    console.error(`Unknown html mode "${config.html}". Expected one of: ${HTML_MODES.join(', ')}.`);
+    process.exit(2);
+  }
+  if (args.dryRun && (args.staged || args.watch || args.installHook || args.verify)) {
+    console.error('--dry-run only applies to a regular batch run (optionally with --clean / --force).');
+    process.exit(2);
+  }
 
-  if (!fs.existsSync('snippets')) {
-    console.error('Expected a "snippets/" folder in repo root.');
+  if (!config.roots.some(root=>fs.existsSync(root.source))) {
+    const sources=config.roots.map(root=>`"${root.source}/"`).join(', ');
+    console.error(`Expected a ${sources} folder in repo root${config.path ? ` (from ${config.path})` : ''}.`);
     process.exit(2);
   }
 
-  fs.mkdirSync('snippets-mirror',{recursive:true});
+  if (args.whereUsed) {
+    const docxFiles=listSourceDocxFiles(config);
+    const haveSidecars=docxFiles.some(docx=>readFieldSidecar(docx,formats,config));
+    if (!haveSidecars) {
+      console.error('No field inventories found. Run with --fields-json first.');
+      process.exit(2);
+    }
+
+    const uses=whereUsed(args.whereUsed,{docxFiles,formats,config});
+    if (uses.length === 0) {
+      console.log(`No snippets use "${args.whereUsed}".`);
+      return;
+    }
+    console.log(`"${args.whereUsed}" is used by ${uses.length} snippet(s):`);
+    uses.forEach(u=>{
+      console.log(`- ${u.source} (${u.types.join(', ')}; ${u.occurrences}x)`);
+    });
+    return;
+  }
+
+  if (args.installHook) {
+    const passThrough=process.argv.slice(2).filter(arg=>arg !== 'install-hook' && arg !== '--staged');
+    const {hookPath,command}=installPreCommitHook(passThrough);
+    console.log(`Installed pre-commit hook: ${hookPath}`);
+    console.log(`  runs: ${command}`);
+    return;
+  }
 
-  if (args.clean) {
-    cleanMirrorOutput();
+  if (args.staged) {
+    const {generated,removed,failures}=await mirrorStagedChanges({
+      formats,
+      jobs:args.jobs,
+      engine:args.engine,
+      fieldsJson:args.fieldsJson,
+      revisions:args.revisions,
+      fields:args.fields,
+      config
+    });
+    console.log(`Staged mirrors: ${generated.length} regenerated, ${removed.length} removed, ${failures.length} failed.`);
+    if (failures.length > 0) {
+      failures.forEach(f=>{
+        console.error(`- ${f.docxPath}: ${f.error}`);
+      });
+      process.exit(1);
+    }
+    return;
   }
 
-  const {docxFiles,failures}=await generateAllMirrors({format,debugXml:args.debugXml});
+  if (args.watch) {
+    config.roots.forEach(root=>fs.mkdirSync(root.mirror,{recursive:true}));
+    const {generated,failures,warnings}=await generateAllMirrors({
+      formats,
+      debugXml:false,
+      force:false,
+      jobs:args.jobs,
+      engine:args.engine,
+      fieldsJson:args.fieldsJson,
+      revisions:args.revisions,
+      fields:args.fields,
+      config
+    });
+    warnings.forEach(warning=>console.warn(warning));
+    console.log(`Initial run: ${generated.length} generated, ${failures.length} failed.`);
+    failures.forEach(f=>{
+      console.error(`- ${f.docxPath}: ${f.error}`);
+    });
+
+    watchMirrors({formats,engine:args.engine,fieldsJson:args.fieldsJson,revisions:args.revisions,fields:args.fields,config,debounceMs:args.debounceMs});
+    console.log(`Watching ${config.roots.map(root=>`${root.source}/`).join(', ')} for changes (Ctrl+C to stop)...`);
+    return;
+  }
+
+  if (args.verify) {
+    const verified=verifyAllMirrors(config);
+    if (args.report === 'json') {
+      console.log(JSON.stringify(verified,null,2));
+    } else if (!printVerifyResult(verified)) {
+      console.error('Regenerate flagged mirrors from their .docx (and move any hand edits into the .docx first).');
+    }
+    if (verified.problems.length > 0) process.exit(1);
+    return;
+  }
+
+  if (args.check) {
+    const ok=printCheckResult(await checkAllMirrors({
+      formats,
+      jobs:args.jobs,
+      engine:args.engine,
+      fieldsJson:args.fieldsJson,
+      revisions:args.revisions,
+      fields:args.fields,
+      config
+    }));
+    if (!ok) {
+      console.error('Mirrors are out of date. Run: node scripts/generate-all-snippet-mirrors.js');
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (!args.dryRun) {
+    config.roots.forEach(root=>fs.mkdirSync(root.mirror,{recursive:true}));
+  }
+
+  const result=await generateAllMirrors({
+    formats,
+    debugXml:args.debugXml,
+    force:args.force,
+    jobs:args.jobs,
+    engine:args.engine,
+    fieldsJson:args.fieldsJson,
+    revisions:args.revisions,
+    fields:args.fields,
+    config,
+    clean:args.clean,
+    dryRun:args.dryRun
+  });
+  const {docxFiles,generated,unchanged,failures,deleted,cleaned,warnings}=result;
+
+  if (args.report === 'json') {
+    console.log(JSON.stringify(buildRunReport(result,{formats,config}),null,2));
+    if (failures.length > 0) process.exit(1);
+    return;
+  }
+
+  if (args.dryRun) {
+    const report=buildRunReport(result,{formats,config});
+    cleaned.forEach(dir=>console.log(`Would clean: ${dir}`));
+    report.files.filter(f=>f.status === 'would-generate').forEach(f=>{
+      f.mirrorPaths.forEach(mirrorPath=>console.log(`Would write: ${mirrorPath}`));
+    });
+    deleted.forEach(file=>console.log(`Would delete stale: ${file}`));
+    console.log(`Dry run over ${docxFiles.length} .docx file(s): ${report.totals.wouldGenerate} would be generated, ${unchanged.length} unchanged, ${deleted.length} stale file(s) would be deleted.`);
+    return;
+  }
 
-  console.log(`Processed ${docxFiles.length} .docx file(s).`);
+  deleted.forEach(file=>console.log(`Deleted stale: ${file}`));
+  warnings.forEach(warning=>console.warn(warning));
+  console.log(`Processed ${docxFiles.length} .docx file(s): ${generated.length} generated, ${unchanged.length} unchanged, ${failures.length} failed.`);
   if (failures.length > 0) {
     console.error(`Failures (${failures.length}):`);
     failures.forEach(f=>{
@@ -2,61 +2,176 @@
 /**
  * scripts/generate-snippet-mirror.js
  *
- * Generates a text “mirror” (Markdown by default, or HTML) for a single .docx
- * under /snippets, writing the output to the parallel /snippets-mirror tree.
+ * Generates a text “mirror” (Markdown by default, HTML, or pandoc's JSON AST)
+ * for a single .docx under /snippets, writing the output to the parallel
+ * /snippets-mirror tree. Several formats can be produced from one pass.
+ * Templates and macro-enabled files (.dotx, .docm, .dotm) are accepted too and
+ * converted to a plain document package for the engines (snippet-mirror-package.js).
  *
  * Core features:
- * - Preprocess OOXML (word/document.xml) to inject field codes as sentinels:
+ * - Preprocess OOXML story parts (word/document.xml, headers, footers, footnotes,
+ *   endnotes) to inject field codes as sentinels:
  *     pre:  ==::
  *     post: ::==
- * - Run pandoc on a temporary .docx with the mutated XML.
- * - Post-process pandoc output:
- *     - Markdown: convert sentinels to backticks, merge adjacent code spans
- *     - HTML:     convert sentinels to {{ }}, merge adjacent curly blocks
+ * - Resolve tracked changes first (revisions=accept|reject|show; default accept).
+ *   show marks insertions/deletions inline and lists review comments at the end.
+ * - Copy header/footer content into the body as clearly marked sections
+ *   (pandoc ignores headers and footers otherwise).
+ * - Mark content controls with their tag and alias, turn bookmarks into
+ *   anchors and link REF / PAGEREF fields to them (snippet-mirror-controls.js).
+ * - In Markdown, write tables with merged cells or nested tables as embedded
+ *   HTML tables with colspan / rowspan; simple tables stay pipe tables
+ *   (tables=auto|html|native, see snippet-mirror-tables.js).
+ * - Show the document properties (docProps/core.xml, custom.xml) as YAML front
+ *   matter / <meta> tags; fields=value|both resolves DOCPROPERTY fields against
+ *   them (see snippet-mirror-properties.js).
+ * - Run pandoc on a temporary .docx with the mutated XML, or (engine=builtin)
+ *   render the mutated XML with the pure-JS renderer. engine=auto picks pandoc
+ *   when it's installed and falls back to the built-in renderer otherwise.
+ * - Post-process pandoc output (one sentinel per field, nested fields inline):
+ *     - Markdown: convert sentinels to backticks
+ *     - HTML:     convert sentinels to {{ }}
+ *     - JSON:     rebuild sentinels and markers as AST nodes (snippet-mirror-ast.js)
+ * - Extract images into <mirror name>.assets/ (named by content hash) and link
+ *   them relatively from the mirror.
+ * - With html=site (or "html": "site" in the config file), write HTML mirrors as
+ *   standalone pages with embedded CSS, hoverable field chips and a sidebar of
+ *   the snippet tree (see snippet-mirror-site.js).
+ * - Optionally (--fields-json) write a <mirror>.fields.json field inventory.
+ * - Optionally (--vba-modules, or "vbaModules" in the config file) list the VBA
+ *   module names of macro-enabled sources at the end of the mirror.
+ * - Start Markdown and HTML mirrors with a provenance comment (source path and
+ *   hash, hash of the mirror body, generator version) so hand edits can be
+ *   detected (see snippet-mirror-provenance.js).
  *
  * Usage (repo root):
  *   node scripts/generate-snippet-mirror.js snippets/foo/bar.docx
  *   node scripts/generate-snippet-mirror.js snippets/foo/bar.docx format=html
+ *   node scripts/generate-snippet-mirror.js snippets/foo/bar.docx format=gfm,html,json
+ *   node scripts/generate-snippet-mirror.js snippets/foo/bar.docx engine=auto
  *   node scripts/generate-snippet-mirror.js snippets/foo/bar.docx --debug-xml
+ *   node scripts/generate-snippet-mirror.js snippets/foo/bar.docx --fields-json
+ *   node scripts/generate-snippet-mirror.js snippets/foo/bar.docx revisions=show
+ *   node scripts/generate-snippet-mirror.js snippets/foo/bar.docx fields=both
+ *   node scripts/generate-snippet-mirror.js snippets/foo/bar.docx tables=native
+ *   node scripts/generate-snippet-mirror.js snippets/foo/bar.docx format=html html=site
+ *   node scripts/generate-snippet-mirror.js snippets/foo/macros.docm --vba-modules
+ *   node scripts/generate-snippet-mirror.js snippets/foo/bar.docx pandoc-arg=--wrap=none
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
 import crypto from 'node:crypto';
-import {spawnSync} from 'node:child_process';
+import {spawn} from 'node:child_process';
 
 import JSZip from 'jszip';
-import {parseStringPromise,Builder} from 'xml2js';
+import {parseOrderedXml,buildOrderedXml,childrenOf,nameOf,attrOf,firstChild,elementNode,textNode,cloneNode} from './snippet-mirror-xml.js';
+import {collectFields,parseFieldInstruction} from './snippet-mirror-fields.js';
+import {renderDocumentXmlBuiltin,createRenderContext,renderTableXmlHtml} from './snippet-mirror-builtin-renderer.js';
+import {hashMediaParts,rewriteMediaLinks} from './snippet-mirror-media.js';
+import {postProcessPandocJson} from './snippet-mirror-ast.js';
+import {loadConfig,rootForSource} from './snippet-mirror-config.js';
+import {normalizeRevisions,applyRevisions,collectComments,renderCommentsSection,replaceRevisionMarkers} from './snippet-mirror-revisions.js';
+import {normalizeFieldsMode,readDocumentProperties,resolveDocProperty,renderFrontMatter,renderMetaTags} from './snippet-mirror-properties.js';
+import {summarizeDocument} from './snippet-mirror-index.js';
+import {addProvenanceHeader,sha256} from './snippet-mirror-provenance.js';
+import {normalizeTablesMode,replaceComplexTables} from './snippet-mirror-tables.js';
+import {newAnnotations,registerBookmarks,linkMarkerFor,markBookmarks,markContentControls,replaceAnnotationMarkers} from './snippet-mirror-controls.js';
+import {replaceSourceExtension,toDocumentPackage,listVbaModules,renderVbaModulesSection} from './snippet-mirror-package.js';
+import {normalizeHtmlMode,highlightFields,renderSitePage} from './snippet-mirror-site.js';
 
 const SENTINEL_PRE='==::';
 const SENTINEL_POST='::==';
 
-const DEFAULTS={format:'gfm',debugXml:false};
+// Header/footer content is embedded into the body between marker paragraphs:
+//   ==%%BEGIN header word/header1.xml default%%==  ...  ==%%END header word/header1.xml%%==
+// Markdown tables rendered as HTML leave a ==%%TABLE <n>%%== marker paragraph in their place.
+const STORY_MARKER_PRE='==%%';
+const STORY_MARKER_POST='%%==';
+
+export const STORY_PART_PATTERN=/^word\/(header\d*|footer\d*|footnotes|endnotes)\.xml$/;
+
+const ENGINES=['pandoc','builtin','auto'];
+
+export const FORMATS=['gfm','html','json'];
+
+// Recorded in each mirror's provenance header; bump when a change to the
+// generator changes the output, so existing mirrors get regenerated.
+export const GENERATOR_VERSION='1.0.0';
+
+const DEFAULTS={format:'gfm',debugXml:false,engine:'pandoc',fieldsJson:false,revisions:'accept',fields:'code'};
 
 /**
  * parseCliArgs(argv)
  *
  * Supported:
- * - format=<gfm|markdown|html>
+ * - format=<gfm|markdown|html|json>[,...]  (default: the config file's format, else gfm)
+ * - engine=<pandoc|builtin|auto>
+ * - revisions=<accept|reject|show>
+ * - fields=<code|value|both>  (DOCPROPERTY fields: code, resolved value, or both)
+ * - tables=<auto|html|native> (Markdown tables; replaces the config file's tables)
+ * - html=<fragment|site>      (HTML mirrors; replaces the config file's html)
+ * - config=<path>       (default: .snippet-mirror.json, else package.json "snippetMirror")
+ * - pandoc-arg=<arg>    (repeatable; replaces the config file's pandocArgs)
  * - --debug-xml
+ * - --fields-json
+ * - --vba-modules       (list VBA module names; same as "vbaModules": true in the config file)
  *
  * Note: we intentionally do NOT support "format <val>" or "-f <val>" variants.
+ * The first argument that is neither a flag nor one of the key= options above
+ * is the .docx path (which may itself contain "=").
  */
+const OPTION_PREFIXES=['format=','engine=','revisions=','fields=','tables=','html=','config=','pandoc-arg='];
+
 function parseCliArgs(argv) {
-  const initial={docxPath:null,format:DEFAULTS.format,debugXml:DEFAULTS.debugXml};
+  // format, tables, html and pandocArgs stay null unless given, so the config file can supply them.
+  const initial={docxPath:null,format:null,debugXml:DEFAULTS.debugXml,engine:DEFAULTS.engine,fieldsJson:DEFAULTS.fieldsJson,revisions:DEFAULTS.revisions,fields:DEFAULTS.fields,tables:null,html:null,vbaModules:false,configPath:null,pandocArgs:null};
 
   return argv.slice(2).reduce((acc,arg)=>{
-    if (!acc.docxPath && !arg.startsWith('-') && !arg.includes('format=')) {
+    if (!acc.docxPath && !arg.startsWith('-') && !OPTION_PREFIXES.some(prefix=>arg.startsWith(prefix))) {
       return {...acc,docxPath:arg};
     }
     if (arg === '--debug-xml') {
       return {...acc,debugXml:true};
     }
+    if (arg === '--fields-json') {
+      return {...acc,fieldsJson:true};
+    }
+    if (arg === '--vba-modules') {
+      return {...acc,vbaModules:true};
+    }
     if (arg.startsWith('format=')) {
       const format=arg.slice('format='.length).trim().toLowerCase();
       return {...acc,format:format || acc.format};
     }
+    if (arg.startsWith('engine=')) {
+      const engine=arg.slice('engine='.length).trim().toLowerCase();
+      return {...acc,engine:engine || acc.engine};
+    }
+    if (arg.startsWith('revisions=')) {
+      const revisions=arg.slice('revisions='.length).trim().toLowerCase();
+      return {...acc,revisions:revisions || acc.revisions};
+    }
+    if (arg.startsWith('fields=')) {
+      const fields=arg.slice('fields='.length).trim().toLowerCase();
+      return {...acc,fields:fields || acc.fields};
+    }
+    if (arg.startsWith('tables=')) {
+      const tables=arg.slice('tables='.length).trim().toLowerCase();
+      return {...acc,tables:tables || acc.tables};
+    }
+    if (arg.startsWith('html=')) {
+      const html=arg.slice('html='.length).trim().toLowerCase();
+      return {...acc,html:html || acc.html};
+    }
+    if (arg.startsWith('config=')) {
+      const configPath=arg.slice('config='.length).trim();
+      return {...acc,configPath:configPath || acc.configPath};
+    }
+    if (arg.startsWith('pandoc-arg=')) {
+      return {...acc,pandocArgs:[...(acc.pandocArgs || []),arg.slice('pandoc-arg='.length)]};
+    }
     return acc;
   },initial);
 }
@@ -74,8 +189,18 @@ function isHtmlFormat(format) {
   return format === 'html';
 }
 
-function outputExtensionFor(format) {
-  return isHtmlFormat(format) ? '.html' : '.md';
+function isMarkdownFormat(format) {
+  return !isHtmlFormat(format) && !isJsonFormat(format);
+}
+
+function isJsonFormat(format) {
+  return format === 'json';
+}
+
+export function outputExtensionFor(format) {
+  if (isHtmlFormat(format)) return '.html';
+  if (isJsonFormat(format)) return '.json';
+  return '.md';
 }
 
 function normalizeFormat(format) {
@@ -86,39 +211,52 @@ function normalizeFormat(format) {
   return f || 'gfm';
 }
 
-function mirrorPathForDocx(docxPath,format) {
-  const ext=outputExtensionFor(format);
-  const normalized=docxPath.replace(/\\/g,'/');
-  if (!normalized.toLowerCase().startsWith('snippets/')) {
-    throw new Error(`Expected path under "snippets/". Got: ${docxPath}`);
+/**
+ * normalizeFormats(format)
+ *
+ * Accepts one format, a comma-separated list ("gfm,html,json") or an array.
+ * Returns the distinct normalized formats in the order given.
+ */
+export function normalizeFormats(format) {
+  const list=Array.isArray(format) ? format : String(format || DEFAULTS.format).split(',');
+  const formats=list.map(f=>normalizeFormat(String(f).trim())).filter((f,i,a)=>a.indexOf(f) === i);
+  const unknown=formats.filter(f=>!FORMATS.includes(f));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown format "${unknown.join(', ')}". Expected one of: ${FORMATS.join(', ')}.`);
   }
-  const rel=normalized.slice('snippets/'.length).replace(/\.docx$/i,ext);
-  return path.join('snippets-mirror',...rel.split('/'));
+  return formats;
 }
 
-function ensureDirForFile(filePath) {
-  fs.mkdirSync(path.dirname(filePath),{recursive:true});
+export function normalizeEngine(engine) {
+  const e=(engine || DEFAULTS.engine).toLowerCase();
+  if (!ENGINES.includes(e)) {
+    throw new Error(`Unknown engine "${engine}". Expected one of: ${ENGINES.join(', ')}.`);
+  }
+  return e;
 }
 
 /**
- * extractXmlElementTextContent(xmlElement)
- *
- * xml2js can represent text content as:
- * - a string
- * - an array of strings
- * - an object with "_" (less common with current options)
+ * mirrorPathForDocx(docxPath,format,config)
  *
- * This helper returns a best-effort string.
+ * Maps a source under one of the configured roots (default snippets/) to the
+ * same relative path under that root's mirror folder. The source's extension
+ * (.docx, .dotx, .docm or .dotm) is replaced by the format's. config is the
+ * loaded config (required; see loadConfig()).
  */
-function extractXmlElementTextContent(xmlElement) {
-  if (xmlElement == null) return '';
-  if (typeof xmlElement === 'string') return xmlElement;
-  if (Array.isArray(xmlElement)) return xmlElement.map(extractXmlElementTextContent).join('');
-  if (typeof xmlElement === 'object') {
-    if (typeof xmlElement._ === 'string') return xmlElement._;
-    return '';
+export function mirrorPathForDocx(docxPath,format,config) {
+  const ext=outputExtensionFor(format);
+  const normalized=docxPath.replace(/\\/g,'/');
+  const root=rootForSource(config,normalized);
+  if (!root) {
+    const sources=config.roots.map(r=>`"${r.source}/"`).join(', ');
+    throw new Error(`Expected path under ${sources}. Got: ${docxPath}`);
   }
-  return '';
+  const rel=replaceSourceExtension(normalized.slice(root.source.length+1),ext);
+  return path.join(root.mirror,...rel.split('/'));
+}
+
+function ensureDirForFile(filePath) {
+  fs.mkdirSync(path.dirname(filePath),{recursive:true});
 }
 
 /**
@@ -127,16 +265,16 @@ function extractXmlElementTextContent(xmlElement) {
  * We treat the xml2js output as a generic tree:
  * - Objects: elementName -> childValue
  * - Arrays: sequences of children of the same elementName
+ * - Ordered trees (see snippet-mirror-xml.js): children live only in "$$"
  *
- * We only need to locate:
- * - w:instrText (field instructions / codes)
- * and inject additional w:t text nodes near it so pandoc will “see” it.
+ * Field parsing lives in snippet-mirror-fields.js; here we only need to find
+ * header/footer references.
  */
 function isObject(value) {
   return value && typeof value === 'object' && !Array.isArray(value);
 }
 
-function visitXml(value,visitor) {
+export function visitXml(value,visitor) {
   if (Array.isArray(value)) {
     value.forEach(v=>visitXml(v,visitor));
     return;
@@ -145,93 +283,210 @@ function visitXml(value,visitor) {
 
   visitor(value);
 
+  // Ordered trees also carry per-name copies of the children; walk $$ only.
+  if (Array.isArray(value.$$)) {
+    visitXml(value.$$,visitor);
+    return;
+  }
+
   Object.values(value).forEach(v=>visitXml(v,visitor));
 }
 
 /**
- * takeFieldInstructionString(runLikeObject)
+ * injectFieldCodeSentinels(xml)
+ *
+ * - Parses fields out of an order-preserving xml2js tree (any story part:
+ *   document, header, footer, footnotes, endnotes) via collectFields()
+ * - For each visible field (complex or w:fldSimple), inserts a new run right
+ *   before the field carrying one sentinel with the complete field code.
+ *   Nested fields appear inside their parent's code as "{ ... }".
+ * - REF / PAGEREF sentinels naming a registered bookmark get a link marker
+ *   in front (see snippet-mirror-controls.js).
+ * - With fieldsMode value|both, a DOCPROPERTY field whose property exists gets
+ *   the property's value as plain text instead of Word's cached result (value
+ *   mode also drops the sentinel).
+ * - Returns every parsed field (see collectFields) for the field inventory.
  *
- * Word field codes are often split across multiple <w:instrText> elements.
- * We concatenate any instrText values found within the run object.
+ * We DO NOT attempt to perfectly emulate Word field structure; we only need
+ * pandoc to receive a docx where the field code becomes visible text. The
+ * sentinel run sits outside the field so pandoc's own field handling can't
+ * swallow it.
  */
-function takeFieldInstructionString(runLikeObject) {
-  const instrTexts=[];
-  visitXml(runLikeObject,(obj)=>{
-    if (Object.prototype.hasOwnProperty.call(obj,'w:instrText')) {
-      const v=obj['w:instrText'];
-      if (Array.isArray(v)) {
-        v.forEach(x=>{
-          const s=extractXmlElementTextContent(x).trim();
-          if (s) instrTexts.push(s);
-        });
-      } else {
-        const s=extractXmlElementTextContent(v).trim();
-        if (s) instrTexts.push(s);
-      }
+function injectFieldCodeSentinels(xml,{fieldsMode='code',properties,annotations=newAnnotations()}={}) {
+  const {fields,all}=collectFields(xml);
+
+  const textRun=text=>elementNode('w:r',null,[
+    elementNode('w:t',{'xml:space':'preserve'},[textNode(text)])
+  ]);
+
+  fields.forEach(field=>{
+    if (!field.instruction) return;
+
+    const value=fieldsMode === 'code' || !field.closed ? null : docPropertyValue(field,properties);
+
+    // Example: "DOCPROPERTY  MyVar  \\* MERGEFORMAT" -> "DOCPROPERTY MyVar \\* MERGEFORMAT"
+    const runs=[];
+    if (value === null || fieldsMode === 'both') runs.push(textRun(`${refLinkMarker(field,annotations)}${SENTINEL_PRE}${field.instruction}${SENTINEL_POST}`));
+    if (value !== null) {
+      runs.push(textRun(value));
+      field.resultNodes.forEach(({parent,node})=>{
+        parent.$$=parent.$$.filter(c=>c !== node);
+      });
     }
+
+    const {parent,node}=field.anchor;
+    const index=parent.$$.indexOf(node);
+    parent.$$.splice(index === -1 ? parent.$$.length : index,0,...runs);
   });
-  return instrTexts.join(' ').replace(/\s+/g,' ').trim();
+
+  return all;
+}
+
+function refLinkMarker(field,annotations) {
+  const {type,name}=parseFieldInstruction(field.instruction);
+  return type === 'REF' || type === 'PAGEREF' ? linkMarkerFor(name,annotations) : '';
+}
+
+function docPropertyValue(field,properties) {
+  const {type,name}=parseFieldInstruction(field.instruction);
+  if (type !== 'DOCPROPERTY' || !name || !properties) return null;
+  return resolveDocProperty(properties,name);
 }
 
 /**
- * injectFieldCodeSentinels(documentXmlString)
+ * Story parts
  *
- * - Parses XML into xml2js objects
- * - For each run (<w:r>), if it contains field instruction text, we inject
- *   additional visible text nodes (w:t) that bracket the field code.
- *
- * We DO NOT attempt to perfectly emulate Word field structure; we only need
- * pandoc to receive a docx where the field code becomes visible text.
+ * Besides word/document.xml, field codes live in headers, footers, footnotes
+ * and endnotes. Every one of those parts gets sentinels injected. pandoc renders
+ * footnotes/endnotes on its own but ignores headers and footers, so their
+ * content is copied into the body between marker paragraphs: headers before
+ * the body content, footers after it. Relationship ids in the copies (images,
+ * hyperlinks) point into the header's own .rels part, so those relationships
+ * are added to document.xml.rels under fresh ids.
  */
-async function injectFieldCodeSentinels(documentXmlString) {
-  const xml=await parseStringPromise(documentXmlString,{
-    explicitArray:true,
-    preserveChildrenOrder:true,
-    explicitChildren:false,
-    charsAsChildren:false
-  });
-
-  // Walk all objects and find any w:r arrays we can augment.
-  visitXml(xml,(obj)=>{
-    // Runs are usually stored as 'w:r': [ {...}, {...} ]
-    if (!Object.prototype.hasOwnProperty.call(obj,'w:r')) return;
+function markerParagraph(text) {
+  return elementNode('w:p',null,[
+    elementNode('w:r',null,[
+      elementNode('w:t',{'xml:space':'preserve'},[textNode(`${STORY_MARKER_PRE}${text}${STORY_MARKER_POST}`)])
+    ])
+  ]);
+}
 
-    const runs=obj['w:r'];
-    if (!Array.isArray(runs)) return;
+const RELATIONSHIPS_NAMESPACE='http://schemas.openxmlformats.org/package/2006/relationships';
 
-    runs.forEach(run=>{
-      if (!isObject(run)) return;
+function relsPartNameFor(partName) {
+  return path.posix.join(path.posix.dirname(partName),'_rels',`${path.posix.basename(partName)}.rels`);
+}
 
-      const instr=takeFieldInstructionString(run);
-      if (!instr) return;
+async function readRelationshipsXml(zip,relsPartName) {
+  const entry=zip.file(relsPartName);
+  return entry ? parseOrderedXml(await entry.async('string')) : null;
+}
 
-      // Represent the field code concisely by convention:
-      // Example: "DOCPROPERTY  MyVar  \\* MERGEFORMAT" -> "DOCPROPERTY MyVar \\* MERGEFORMAT"
-      const humanReadable=instr.replace(/\s+/g,' ').trim();
+/**
+ * remapStoryRelationships(blocks,partRels,documentRels)
+ *
+ * Copies of blocks whose r:* relationship ids (resolved against partRels, the
+ * story part's parsed .rels) are replaced by ids of matching relationships
+ * appended to documentRels. Returns the blocks unchanged when the part has no
+ * relationships.
+ */
+function remapStoryRelationships(blocks,partRels,documentRels) {
+  const partById=new Map(childrenOf(partRels?.Relationships)
+    .filter(c=>nameOf(c) === 'Relationship')
+    .map(rel=>[attrOf(rel,'Id'),rel]));
+  if (partById.size === 0) return blocks;
+
+  const documentRoot=documentRels.Relationships;
+  const usedIds=new Set(childrenOf(documentRoot).map(rel=>attrOf(rel,'Id')));
+  const remapped=new Map();
+  const remap=id=>{
+    if (!remapped.has(id)) {
+      let n=1;
+      while (usedIds.has(`rIdStory${n}`)) n++;
+      usedIds.add(`rIdStory${n}`);
+      remapped.set(id,`rIdStory${n}`);
+      documentRoot.$$=[...childrenOf(documentRoot),elementNode('Relationship',{...partById.get(id).$,Id:`rIdStory${n}`})];
+    }
+    return remapped.get(id);
+  };
+
+  const copies=blocks.map(cloneNode);
+  copies.forEach(block=>visitXml(block,(obj)=>{
+    Object.keys(obj.$ || {})
+      .filter(attr=>attr.startsWith('r:') && partById.has(obj.$[attr]))
+      .forEach(attr=>{
+        obj.$[attr]=remap(obj.$[attr]);
+      });
+  }));
+  return copies;
+}
 
-      // Insert a visible text node. We place it inside the run as an extra w:t.
-      // Putting this at the end of the run tends to be stable for pandoc.
-      const sentinelText=`${SENTINEL_PRE}${humanReadable}${SENTINEL_POST}`;
+async function readDocumentRelationshipTargets(zip) {
+  const entry=zip.file('word/_rels/document.xml.rels');
+  if (!entry) return {};
+  const xml=await parseOrderedXml(await entry.async('string'));
+  return childrenOf(xml.Relationships)
+    .filter(c=>nameOf(c) === 'Relationship')
+    .reduce((acc,rel)=>({...acc,[attrOf(rel,'Id')]:attrOf(rel,'Target')}),{});
+}
 
-      // Ensure w:t exists as an array of strings/objects; append our sentinel.
-      // Most OOXML uses w:t as array with one string item.
-      if (!Object.prototype.hasOwnProperty.call(run,'w:t')) {
-        run['w:t']=[sentinelText];
-      } else if (Array.isArray(run['w:t'])) {
-        run['w:t'].push(sentinelText);
-      } else {
-        run['w:t']=[run['w:t'],sentinelText];
-      }
+/**
+ * referencedHeaderFooterParts(documentXml,relTargets)
+ *
+ * Returns [{kind:'header'|'footer',type,partName}] in section order, deduplicated.
+ */
+function referencedHeaderFooterParts(documentXml,relTargets) {
+  const refs=[];
+  visitXml(documentXml,(obj)=>{
+    const name=nameOf(obj);
+    if (name !== 'w:headerReference' && name !== 'w:footerReference') return;
+    const target=relTargets[attrOf(obj,'r:id')];
+    if (!target) return;
+    const partName=path.posix.normalize(path.posix.join('word',target.replace(/^\//,'')));
+    if (refs.some(r=>r.partName === partName)) return;
+    refs.push({
+      kind:name === 'w:headerReference' ? 'header' : 'footer',
+      type:attrOf(obj,'w:type') || 'default',
+      partName
     });
   });
+  return refs;
+}
 
-  const builder=new Builder({
-    headless:true,
-    renderOpts:{pretty:false},
-    xmldec:{version:'1.0',encoding:'UTF-8',standalone:null}
-  });
+function storyBlocks(partXml) {
+  const root=Object.values(partXml)[0];
+  return childrenOf(root).filter(c=>nameOf(c) === 'w:p' || nameOf(c) === 'w:tbl' || nameOf(c) === 'w:sdt');
+}
 
-  return builder.buildObject(xml);
+/**
+ * embedHeadersAndFooters(documentXml,refs,storyTrees,{documentRels,partRels})
+ *
+ * documentRels is the parsed document.xml.rels (relationships of the embedded
+ * content get appended to it), partRels the parsed .rels per story part name.
+ */
+function embedHeadersAndFooters(documentXml,refs,storyTrees,{documentRels,partRels}) {
+  const body=firstChild(Object.values(documentXml)[0],'w:body');
+  if (!body) return;
+
+  const section=ref=>{
+    const tree=storyTrees[ref.partName];
+    if (!tree) return [];
+    return [
+      markerParagraph(`BEGIN ${ref.kind} ${ref.partName} ${ref.type}`),
+      ...remapStoryRelationships(storyBlocks(tree),partRels[ref.partName],documentRels),
+      markerParagraph(`END ${ref.kind} ${ref.partName}`)
+    ];
+  };
+
+  const headers=refs.filter(r=>r.kind === 'header').flatMap(section);
+  const footers=refs.filter(r=>r.kind === 'footer').flatMap(section);
+
+  // The body's trailing w:sectPr must stay last.
+  const children=body.$$;
+  const sectPrIndex=children.findIndex(c=>nameOf(c) === 'w:sectPr');
+  const insertAt=sectPrIndex === -1 ? children.length : sectPrIndex;
+  body.$$=[...headers,...children.slice(0,insertAt),...footers,...children.slice(insertAt)];
 }
 
 /**
@@ -243,25 +498,103 @@ function writeDebugXmlIfEnabled(mutatedDocumentXmlString,debugPath) {
   fs.writeFileSync(debugPath,mutatedDocumentXmlString,'utf8');
 }
 
-async function buildTempDocxWithMutatedDocumentXml(docxPath,{debugXml}) {
-  const original=fs.readFileSync(docxPath);
+function debugPathFor(docxPath,partName) {
+  if (partName === 'word/document.xml') return `${docxPath}.debug.xml`;
+  return `${docxPath}.${path.posix.basename(partName,'.xml')}.debug.xml`;
+}
+
+/**
+ * mutateDocxPackage(docxPath,{debugXml,docxBuffer,revisions,fields})
+ *
+ * Loads the .docx (or docxBuffer, e.g. a staged git blob), declares templates
+ * and macro-enabled files a plain document, resolves tracked changes per the
+ * revisions mode, injects sentinels into every story part,
+ * marks content controls, bookmarks and REF links (see
+ * snippet-mirror-controls.js) and embeds header / footer content into
+ * word/document.xml.
+ * Media parts are renamed to their content hash (see snippet-mirror-media.js).
+ * Returns the in-memory JSZip package (engines decide what to do with it), the
+ * parsed fields per part (document first), the extracted media, the document
+ * properties, a {title,words,fields} summary for the index, the annotations
+ * record for the control / bookmark markers and, in show mode, the review comments.
+ */
+async function mutateDocxPackage(docxPath,{debugXml,docxBuffer,revisions,fields}) {
+  const original=docxBuffer || fs.readFileSync(docxPath);
   const zip=await JSZip.loadAsync(original);
+  await toDocumentPackage(zip);
 
   const docEntry=zip.file('word/document.xml');
   if (!docEntry) {
     throw new Error('Could not find word/document.xml inside docx.');
   }
 
-  const documentXmlString=await docEntry.async('string');
-  const mutatedXmlString=await injectFieldCodeSentinels(documentXmlString);
+  const revisionMode=normalizeRevisions(revisions);
+  const fieldsMode=normalizeFieldsMode(fields);
+  const properties=await readDocumentProperties(zip);
+
+  const documentXml=await parseOrderedXml(await docEntry.async('string'));
+
+  // Comment anchors are read before revisions are resolved, so they quote the accepted text.
+  const commentsEntry=revisionMode === 'show' ? zip.file('word/comments.xml') : null;
+  const comments=commentsEntry
+    ? collectComments(documentXml,await parseOrderedXml(await commentsEntry.async('string')))
+    : [];
+
+  const {title,words}=summarizeDocument(documentXml,{properties});
+
+  applyRevisions(documentXml,revisionMode);
+
+  const storyTrees={};
+  for (const entry of zip.file(STORY_PART_PATTERN)) {
+    storyTrees[entry.name]=applyRevisions(await parseOrderedXml(await entry.async('string')),revisionMode);
+  }
+  const trees={'word/document.xml':documentXml,...storyTrees};
+
+  // Bookmarks first, so a REF anywhere can link to a bookmark in any part.
+  const annotations=newAnnotations();
+  Object.values(trees).forEach(tree=>registerBookmarks(tree,annotations));
+
+  const fieldsByPart=Object.fromEntries(Object.entries(trees).map(([name,tree])=>{
+    const fields=injectFieldCodeSentinels(tree,{fieldsMode,properties,annotations});
+    markBookmarks(tree,annotations);
+    markContentControls(tree,annotations);
+    return [name,fields];
+  }));
+
+  const refs=referencedHeaderFooterParts(documentXml,await readDocumentRelationshipTargets(zip));
+  const documentRels=await readRelationshipsXml(zip,'word/_rels/document.xml.rels')
+    || {Relationships:elementNode('Relationships',{xmlns:RELATIONSHIPS_NAMESPACE})};
+  const partRels={};
+  for (const ref of refs) {
+    partRels[ref.partName]=await readRelationshipsXml(zip,relsPartNameFor(ref.partName));
+  }
+  const relationshipCount=childrenOf(documentRels.Relationships).length;
+  embedHeadersAndFooters(documentXml,refs,storyTrees,{documentRels,partRels});
+
+  const mutatedParts={
+    'word/document.xml':buildOrderedXml(documentXml),
+    ...Object.fromEntries(Object.entries(storyTrees).map(([name,tree])=>[name,buildOrderedXml(tree)]))
+  };
+
+  Object.entries(mutatedParts).forEach(([name,xmlString])=>{
+    if (debugXml) {
+      writeDebugXmlIfEnabled(xmlString,debugPathFor(docxPath,name));
+    }
+    zip.file(name,xmlString);
+  });
 
-  if (debugXml) {
-    const debugPath=`${docxPath}.debug.xml`;
-    writeDebugXmlIfEnabled(mutatedXmlString,debugPath);
+  if (childrenOf(documentRels.Relationships).length > relationshipCount) {
+    zip.file('word/_rels/document.xml.rels',buildOrderedXml(documentRels));
   }
 
-  zip.file('word/document.xml',mutatedXmlString);
+  const media=await hashMediaParts(zip);
+
+  const summary={title,words,fields:Object.values(fieldsByPart).reduce((sum,fields)=>sum+fields.length,0)};
 
+  return {zip,fieldsByPart,media,properties,summary,comments,annotations};
+}
+
+async function writeTempDocx(zip) {
   const tmpDir=os.tmpdir();
   const tmpName=`snippet-mirror-${crypto.randomUUID()}.docx`;
   const tmpPath=path.join(tmpDir,tmpName);
@@ -272,162 +605,276 @@ async function buildTempDocxWithMutatedDocumentXml(docxPath,{debugXml}) {
   return tmpPath;
 }
 
-function runPandoc({inputDocxPath,format}) {
+/**
+ * runPandoc({inputDocxPath,format,pandocArgs})
+ *
+ * Async so the batch generator can keep several pandoc processes running at once.
+ * Resolves with pandoc's stdout; rejects on spawn errors (e.g. pandoc missing)
+ * or a non-zero exit.
+ */
+function runPandoc({inputDocxPath,format,pandocArgs=[]}) {
   // Pandoc “to” targets:
   // - gfm for GitHub-flavored markdown
   // - html for HTML
-  const to=isHtmlFormat(format) ? 'html' : 'gfm';
+  // - json for the AST
+  const to=isHtmlFormat(format) || isJsonFormat(format) ? format : 'gfm';
 
-  const result=spawnSync('pandoc',['-f','docx','-t',to,inputDocxPath],{
-    encoding:'utf8',
-    stdio:['ignore','pipe','pipe']
+  return new Promise((resolve,reject)=>{
+    // Extra arguments (e.g. --wrap=none) come from the config file or pandoc-arg=.
+    const child=spawn('pandoc',['-f','docx','-t',to,...pandocArgs,inputDocxPath],{
+      stdio:['ignore','pipe','pipe']
+    });
+
+    const stdout=[];
+    const stderr=[];
+    child.stdout.on('data',chunk=>stdout.push(chunk));
+    child.stderr.on('data',chunk=>stderr.push(chunk));
+
+    child.on('error',reject);
+    child.on('close',status=>{
+      if (status !== 0) {
+        reject(new Error(`pandoc failed (exit ${status}):\n${Buffer.concat(stderr).toString('utf8')}`));
+        return;
+      }
+      resolve(Buffer.concat(stdout).toString('utf8'));
+    });
   });
+}
 
-  if (result.error) {
-    throw result.error;
-  }
-  if (result.status !== 0) {
-    throw new Error(`pandoc failed (exit ${result.status}):\n${result.stderr || ''}`);
+let pandocAvailability=null;
+
+/**
+ * isPandocAvailable()
+ *
+ * Probes `pandoc --version` once per process and caches the answer.
+ */
+export function isPandocAvailable() {
+  if (!pandocAvailability) {
+    pandocAvailability=new Promise(resolve=>{
+      const child=spawn('pandoc',['--version'],{stdio:'ignore'});
+      child.on('error',()=>resolve(false));
+      child.on('close',status=>resolve(status === 0));
+    });
   }
-  return result.stdout || '';
+  return pandocAvailability;
 }
 
 /**
- * mergeAdjacentCodeSpans(markdown)
+ * resolveEngine(engine)
  *
- * After replacing sentinels with backticks, pandoc output can produce sequences like:
- *   `DOCPROPERTY Foo` `DOCPROPERTY Bar`
- * or:
- *   `A`   `B`
+ * - pandoc:  always pandoc (fails later if it's missing)
+ * - builtin: always the pure-JS renderer
+ * - auto:    pandoc when available, otherwise builtin
+ */
+export async function resolveEngine(engine) {
+  const e=normalizeEngine(engine);
+  if (e !== 'auto') return e;
+  return (await isPandocAvailable()) ? 'pandoc' : 'builtin';
+}
+
+/**
+ * renderWithPandoc(zip,{formats,pandocArgs}) / renderWithBuiltin(zip,{formats})
  *
- * This merges adjacent code spans that are immediately adjacent or separated only by whitespace:
- *   `A` `B`  =>  `A B`
+ * Render the one mutated package to every requested format; resolve with
+ * {format: raw output}.
  */
-function mergeAdjacentCodeSpans(markdown) {
-  const codeSpan=/`([^`]+)`/g;
-
-  // Step 1: tokenize into an array of {type:'code'|'text',value}
-  const tokens=[];
-  let lastIndex=0;
-  for (;;) {
-    const match=codeSpan.exec(markdown);
-    if (!match) break;
-    const [fullMatch,codeText]=match;
-    const start=match.index;
-    const end=start+fullMatch.length;
-
-    if (start > lastIndex) {
-      tokens.push({type:'text',value:markdown.slice(lastIndex,start)});
+async function renderWithPandoc(zip,{formats,pandocArgs}) {
+  const tempDocxPath=await writeTempDocx(zip);
+  try {
+    const raw={};
+    for (const format of formats) {
+      raw[format]=await runPandoc({inputDocxPath:tempDocxPath,format,pandocArgs});
     }
-    tokens.push({type:'code',value:codeText});
-    lastIndex=end;
-  }
-  if (lastIndex < markdown.length) {
-    tokens.push({type:'text',value:markdown.slice(lastIndex)});
+    return raw;
+  } finally {
+    removeFileIfExists(tempDocxPath);
   }
+}
 
-  // Step 2: merge code spans separated only by whitespace text tokens
-  const merged=[];
-  for (let i=0;i<tokens.length;i++) {
-    const current=tokens[i];
-    if (current.type !== 'code') {
-      merged.push(current);
-      continue;
-    }
+async function readBuiltinParts(zip) {
+  const readPart=async name=>{
+    const entry=zip.file(name);
+    return entry ? entry.async('string') : null;
+  };
+  return {
+    relsXmlString:await readPart('word/_rels/document.xml.rels'),
+    numberingXmlString:await readPart('word/numbering.xml'),
+    footnotesXmlString:await readPart('word/footnotes.xml'),
+    endnotesXmlString:await readPart('word/endnotes.xml')
+  };
+}
 
-    let combined=current.value.trim();
-    let j=i+1;
+async function renderWithBuiltin(zip,{formats}) {
+  if (formats.some(isJsonFormat)) {
+    throw new Error('format=json needs pandoc; the builtin engine cannot produce a pandoc AST.');
+  }
 
-    while (j+1 < tokens.length && tokens[j].type === 'text' && /^\s*$/.test(tokens[j].value) && tokens[j+1].type === 'code') {
-      combined=`${combined} ${tokens[j+1].value.trim()}`.trim();
-      j+=2;
-    }
+  const parts=await readBuiltinParts(zip);
+  const documentXmlString=await zip.file('word/document.xml').async('string');
 
-    merged.push({type:'code',value:combined});
-    i=j-1;
+  const raw={};
+  for (const format of formats) {
+    raw[format]=await renderDocumentXmlBuiltin(documentXmlString,{format:isHtmlFormat(format) ? 'html' : 'gfm',...parts});
   }
+  return raw;
+}
 
-  // Step 3: rebuild
-  return merged.map(t=>{
-    if (t.type === 'code') return `\`${t.value}\``;
-    return t.value;
-  }).join('');
+function renderWithEngine(zip,{engine,formats,config}) {
+  if (formats.length === 0) return {};
+  return engine === 'builtin'
+    ? renderWithBuiltin(zip,{formats})
+    : renderWithPandoc(zip,{formats,pandocArgs:config.pandocArgs});
 }
 
 /**
- * mergeAdjacentHtmlCurlyBlocks(html)
+ * renderMarkdownWithHtmlTables(zip,{engine,formats,config,tablesMode})
  *
- * After replacing sentinels with {{ }} tokens, output may contain:
- *   {{A}} {{B}}
- * or:
- *   {{A}}\n  {{B}}
- *
- * Merge into:
- *   {{A B}}
+ * Renders the Markdown formats with the tables the tables mode sends to HTML
+ * swapped for "==%%TABLE <n>%%==" marker paragraphs, and renders those tables
+ * as HTML (sentinels intact) for postProcessPandocOutput() to put back.
+ * document.xml is restored afterwards, so other formats see every table.
+ * Returns {raw:{format:text}, tables:[html]}.
  */
-function mergeAdjacentHtmlCurlyBlocks(html) {
-  // Tokenize on {{...}} sequences (non-greedy).
-  const block=/\{\{([\s\S]*?)\}\}/g;
-
-  const tokens=[];
-  let lastIndex=0;
-  for (;;) {
-    const match=block.exec(html);
-    if (!match) break;
-    const [fullMatch,inner]=match;
-    const start=match.index;
-    const end=start+fullMatch.length;
-
-    if (start > lastIndex) {
-      tokens.push({type:'text',value:html.slice(lastIndex,start)});
-    }
-    tokens.push({type:'curly',value:inner});
-    lastIndex=end;
+async function renderMarkdownWithHtmlTables(zip,{engine,formats,config,tablesMode}) {
+  if (formats.length === 0 || tablesMode === 'native') {
+    return {raw:await renderWithEngine(zip,{engine,formats,config}),tables:[]};
   }
-  if (lastIndex < html.length) {
-    tokens.push({type:'text',value:html.slice(lastIndex)});
+
+  const documentXmlString=await zip.file('word/document.xml').async('string');
+  const documentXml=await parseOrderedXml(documentXmlString);
+  const tableNodes=replaceComplexTables(documentXml,{mode:tablesMode,placeholder:i=>markerParagraph(`TABLE ${i}`)});
+  if (tableNodes.length === 0) {
+    return {raw:await renderWithEngine(zip,{engine,formats,config}),tables:[]};
   }
 
-  const merged=[];
-  for (let i=0;i<tokens.length;i++) {
-    const current=tokens[i];
-    if (current.type !== 'curly') {
-      merged.push(current);
-      continue;
-    }
+  const ctx=await createRenderContext(await readBuiltinParts(zip));
+  const tables=tableNodes.map(tbl=>renderTableXmlHtml(tbl,ctx));
 
-    let combined=current.value.trim();
-    let j=i+1;
+  zip.file('word/document.xml',buildOrderedXml(documentXml));
+  try {
+    return {raw:await renderWithEngine(zip,{engine,formats,config}),tables};
+  } finally {
+    zip.file('word/document.xml',documentXmlString);
+  }
+}
 
-    while (j+1 < tokens.length && tokens[j].type === 'text' && /^\s*$/.test(tokens[j].value) && tokens[j+1].type === 'curly') {
-      combined=`${combined} ${tokens[j+1].value.trim()}`.trim();
-      j+=2;
-    }
+/**
+ * replaceTableMarkers(output,tables,{annotations})
+ *
+ * Puts the HTML tables back in place of their marker paragraphs. Markdown
+ * isn't parsed inside an HTML block, so sentinels there become <code>,
+ * revision markers <ins> / <del> and the other markers their HTML form.
+ */
+function replaceTableMarkers(output,tables,{annotations}) {
+  const marker=new RegExp(`^${STORY_MARKER_PRE}TABLE (\\d+)${STORY_MARKER_POST}$`,'gm');
+  return output.replace(marker,(m,index)=>replaceAnnotationMarkers(replaceRevisionMarkers(tables[Number(index)],{html:true})
+    .split(SENTINEL_PRE).join('<code>')
+    .split(SENTINEL_POST).join('</code>'),{html:true,annotations}));
+}
 
-    merged.push({type:'curly',value:combined});
-    i=j-1;
+/**
+ * replaceStoryMarkers(output,{format})
+ *
+ * Turns the header/footer marker paragraphs into visible section delimiters:
+ * - Markdown: "---- header: word/header1.xml (default) ----" / "---- end header ----"
+ * - HTML:     <section class="snippet-story" ...> ... </section>
+ */
+function replaceStoryMarkers(output,{format}) {
+  const pre=STORY_MARKER_PRE;
+  const post=STORY_MARKER_POST;
+  const begin=new RegExp(`${pre}BEGIN (header|footer) (\\S+) (\\S+)${post}`,'g');
+  const end=new RegExp(`${pre}END (header|footer) (\\S+)${post}`,'g');
+
+  if (isHtmlFormat(format)) {
+    return output
+      .replace(new RegExp(`<p>\\s*(${pre}(?:BEGIN|END) [\\s\\S]*?${post})\\s*</p>`,'g'),'$1')
+      .replace(begin,(m,kind,partName,type)=>`<section class="snippet-story snippet-${kind}" data-part="${partName}" data-type="${type}">\n<p class="snippet-story-title">${kind}: ${partName} (${type})</p>`)
+      .replace(end,'</section>');
   }
 
-  return merged.map(t=>{
-    if (t.type === 'curly') return `{{${t.value}}}`;
-    return t.value;
-  }).join('');
+  return output
+    .replace(begin,(m,kind,partName,type)=>`---- ${kind}: ${partName} (${type}) ----`)
+    .replace(end,(m,kind)=>`---- end ${kind} ----`);
 }
 
-function postProcessPandocOutput(raw,{format}) {
+function postProcessPandocOutput(raw,{format,comments=[],properties,tables=[],annotations=newAnnotations(),vbaModules=[]}) {
+  if (isJsonFormat(format)) {
+    return postProcessPandocJson(raw,{
+      sentinel:{pre:SENTINEL_PRE,post:SENTINEL_POST},
+      story:{pre:STORY_MARKER_PRE,post:STORY_MARKER_POST},
+      comments,
+      properties,
+      annotations,
+      vbaModules
+    });
+  }
+
+  const withStories=replaceRevisionMarkers(replaceStoryMarkers(raw,{format}),{html:isHtmlFormat(format)});
+
+  // Each sentinel already holds one complete field, so adjacent fields stay separate.
+  // Control / bookmark / link markers come after, as links wrap the converted sentinel.
   if (isHtmlFormat(format)) {
-    const replaced=raw
+    return replaceAnnotationMarkers(withStories
       .split(SENTINEL_PRE).join('{{')
-      .split(SENTINEL_POST).join('}}');
-    return mergeAdjacentHtmlCurlyBlocks(replaced);
+      .split(SENTINEL_POST).join('}}'),{html:true,annotations});
   }
 
-  // Markdown / gfm:
-  const replaced=raw
+  // Markdown / gfm (tables go back in after, so their sentinels stay for <code>):
+  return replaceTableMarkers(replaceAnnotationMarkers(withStories
     .split(SENTINEL_PRE).join('`')
-    .split(SENTINEL_POST).join('`');
+    .split(SENTINEL_POST).join('`'),{html:false,annotations}),tables,{annotations});
+}
+
+/**
+ * Field inventory sidecar
+ *
+ * With fieldsJson enabled, each mirror gets a "<mirror>.fields.json" next to it
+ * listing every field (nested ones included) with its parsed type, name,
+ * arguments, switches and location (story part + 1-based paragraph index).
+ * generate-all-snippet-mirrors.js aggregates these into a where-used report.
+ */
+export function fieldsSidecarPathFor(mirrorPath) {
+  return mirrorPath.replace(/\.[^./\\]+$/,'.fields.json');
+}
 
-  return mergeAdjacentCodeSpans(replaced);
+/**
+ * Image assets
+ *
+ * Extracted images go into "<mirror name>.assets/" next to the mirror, named by
+ * content hash. generateSnippetMirror() prunes files the snippet no longer uses.
+ */
+export function assetsDirPathFor(mirrorPath) {
+  return mirrorPath.replace(/\.[^./\\]+$/,'.assets');
+}
+
+function pruneAssetsDir(assetsDir,keepPaths) {
+  if (!fs.existsSync(assetsDir)) return;
+  const keep=new Set(keepPaths.map(p=>path.resolve(p)));
+  fs.readdirSync(assetsDir)
+    .map(name=>path.join(assetsDir,name))
+    .filter(p=>!keep.has(path.resolve(p)))
+    .forEach(p=>fs.rmSync(p,{recursive:true,force:true}));
+  if (fs.readdirSync(assetsDir).length === 0) fs.rmdirSync(assetsDir);
+}
+
+function buildFieldInventory(docxPath,fieldsByPart) {
+  const parts=Object.keys(fieldsByPart).sort((a,b)=>{
+    if (a === 'word/document.xml') return -1;
+    if (b === 'word/document.xml') return 1;
+    return a.localeCompare(b);
+  });
+
+  const fields=parts.flatMap(part=>fieldsByPart[part].map(field=>({
+    ...parseFieldInstruction(field.instruction),
+    instruction:field.instruction,
+    part,
+    paragraph:field.paragraph,
+    simple:field.simple,
+    nested:Boolean(field.parentField),
+    closed:field.closed
+  })));
+
+  return {source:docxPath.replace(/\\/g,'/'),fields};
 }
 
 function removeFileIfExists(filePath) {
@@ -436,42 +883,167 @@ function removeFileIfExists(filePath) {
   } catch {}
 }
 
-export async function generateSnippetMirror({docxPath,format,debugXml}) {
-  const normalizedFormat=normalizeFormat(format);
-  const mirrorPath=mirrorPathForDocx(docxPath,normalizedFormat);
+/**
+ * renderFormats({docxPath,docxBuffer,formats,debugXml,engine,revisions,fields,config,assetsDirName,siteRel})
+ *
+ * The conversion itself, independent of where the source lives: mutates the
+ * package once and returns {engine, contents:{format:text}, fieldsByPart, media, summary}.
+ * Image links point at assetsDirName, or stay "media/<hash>.<ext>" without one.
+ * siteRel is the HTML mirror's path relative to its mirror root; in html=site
+ * mode it turns the HTML output into a site page (without it, e.g. for
+ * textconv, HTML stays a fragment).
+ */
+async function renderFormats({docxPath,docxBuffer,formats,debugXml,engine,revisions,fields,config,assetsDirName,siteRel}) {
+  const resolvedEngine=await resolveEngine(engine);
+  const tablesMode=normalizeTablesMode(config.tables);
+  const site=normalizeHtmlMode(config.html) === 'site' && Boolean(siteRel);
+  const {zip,fieldsByPart,media,properties,summary,comments,annotations}=await mutateDocxPackage(docxPath,{debugXml,docxBuffer,revisions,fields});
+  const vbaModules=config.vbaModules ? await listVbaModules(zip) : [];
+
+  const markdown=await renderMarkdownWithHtmlTables(zip,{engine:resolvedEngine,formats:formats.filter(isMarkdownFormat),config,tablesMode});
+  const raw={
+    ...await renderWithEngine(zip,{engine:resolvedEngine,formats:formats.filter(f=>!isMarkdownFormat(f)),config}),
+    ...markdown.raw
+  };
+
+  const contents=Object.fromEntries(formats.map(f=>{
+    const processed=postProcessPandocOutput(raw[f],{format:f,comments,properties,annotations,vbaModules,tables:isMarkdownFormat(f) ? markdown.tables : []});
+    const body=assetsDirName ? rewriteMediaLinks(processed,media,assetsDirName) : processed;
+    // JSON carries the properties, comments and VBA modules in its meta block instead.
+    if (isJsonFormat(f)) return [f,body];
+    const header=isHtmlFormat(f) ? renderMetaTags(properties) : renderFrontMatter(properties);
+    const sections=[renderCommentsSection(comments,{html:isHtmlFormat(f)}),renderVbaModulesSection(vbaModules,{html:isHtmlFormat(f)})].filter(Boolean);
+    if (isHtmlFormat(f) && site) {
+      const title=summary.title || path.basename(docxPath).replace(/\.[^.]+$/,'');
+      return [f,renderSitePage([highlightFields(body),...sections].join('\n'),{title,head:header,rel:siteRel})];
+    }
+    return [f,`${header}${sections.length > 0 ? `${body.replace(/\n*$/,'\n')}\n${sections.join('\n')}` : body}`];
+  }));
 
-  ensureDirForFile(mirrorPath);
+  return {engine:resolvedEngine,contents,fieldsByPart,media,summary};
+}
 
-  const tempDocxPath=await buildTempDocxWithMutatedDocumentXml(docxPath,{debugXml});
+/**
+ * renderDocxToText({docxPath,format,engine,revisions,fields,config})
+ *
+ * Converts any .docx (e.g. a git textconv temp file outside snippets/) to the
+ * text of one format, without mapping it to a mirror path or writing anything.
+ * Image links keep their "media/<hash>.<ext>" form.
+ */
+export async function renderDocxToText({docxPath,format,engine,revisions,fields,config=loadConfig()}) {
+  const [first]=normalizeFormats(format || config.format);
+  const {contents}=await renderFormats({docxPath,formats:[first],debugXml:false,engine,revisions,fields,config});
+  return contents[first];
+}
 
-  try {
-    const rawPandoc=runPandoc({inputDocxPath:tempDocxPath,format:normalizedFormat});
-    const cleaned=postProcessPandocOutput(rawPandoc,{format:normalizedFormat});
-    fs.writeFileSync(mirrorPath,cleaned,'utf8');
-  } finally {
-    removeFileIfExists(tempDocxPath);
+/**
+ * renderSnippetMirror({docxPath,format,debugXml,engine,fieldsJson,revisions,fields,docxBuffer,config})
+ *
+ * Does all the work except writing: returns the mirror paths (one per format;
+ * mirrorPath is the first) plus every output file as {path,content} (the
+ * mirrors with their provenance header, the optional field sidecar, then one Buffer-content entry per
+ * extracted image) and the {title,words,fields} summary shown in the index.
+ * format may list several formats; the XML is mutated once.
+ * Used directly by `--check` to compare against what's on disk.
+ * docxBuffer, when given, is converted instead of the file at docxPath (which
+ * still decides where the mirror goes). config (see snippet-mirror-config.js)
+ * supplies the root folders and extra pandoc arguments; it's loaded from the
+ * working directory when omitted.
+ */
+export async function renderSnippetMirror({docxPath,format,debugXml,engine,fieldsJson,revisions,fields,docxBuffer,config=loadConfig()}) {
+  const formats=normalizeFormats(format || config.format);
+  const mirrorPaths=formats.map(f=>mirrorPathForDocx(docxPath,f,config));
+  const mirrorPath=mirrorPaths[0];
+
+  const assetsDir=assetsDirPathFor(mirrorPath);
+  const htmlMirrorPath=mirrorPaths[formats.findIndex(isHtmlFormat)];
+  const {engine:resolvedEngine,contents,fieldsByPart,media,summary}=await renderFormats({
+    docxPath,
+    docxBuffer,
+    formats,
+    debugXml,
+    engine,
+    revisions,
+    fields,
+    config,
+    assetsDirName:path.basename(assetsDir),
+    siteRel:htmlMirrorPath ? path.relative(rootForSource(config,docxPath).mirror,htmlMirrorPath).split(path.sep).join('/') : null
+  });
+
+  const provenance={
+    source:docxPath.replace(/\\/g,'/'),
+    sourceHash:sha256(docxBuffer || fs.readFileSync(docxPath)),
+    generator:GENERATOR_VERSION
+  };
+  const outputs=formats.map((f,i)=>({
+    path:mirrorPaths[i],
+    content:isJsonFormat(f) ? contents[f] : addProvenanceHeader(contents[f],provenance)
+  }));
+
+  if (fieldsJson) {
+    outputs.push({
+      path:fieldsSidecarPathFor(mirrorPath),
+      content:`${JSON.stringify(buildFieldInventory(docxPath,fieldsByPart),null,2)}\n`
+    });
   }
 
-  return {mirrorPath};
+  media.forEach(({fileName,data})=>{
+    outputs.push({path:path.join(assetsDir,fileName),content:data});
+  });
+
+  return {mirrorPath,mirrorPaths,engine:resolvedEngine,outputs,summary};
+}
+
+export async function generateSnippetMirror({docxPath,format,debugXml,engine,fieldsJson,revisions,fields,docxBuffer,config}) {
+  const {mirrorPath,mirrorPaths,engine:resolvedEngine,outputs,summary}=await renderSnippetMirror({docxPath,format,debugXml,engine,fieldsJson,revisions,fields,docxBuffer,config});
+
+  const assetsDir=assetsDirPathFor(mirrorPath);
+  const hadAssets=fs.existsSync(assetsDir);
+
+  outputs.forEach(output=>{
+    ensureDirForFile(output.path);
+    // Strings are mirror text; Buffers are image bytes.
+    if (Buffer.isBuffer(output.content)) {
+      fs.writeFileSync(output.path,output.content);
+    } else {
+      fs.writeFileSync(output.path,output.content,'utf8');
+    }
+  });
+  pruneAssetsDir(assetsDir,outputs.map(o=>o.path));
+
+  // assetsPath is reported whenever the folder existed before or after, so callers can stage removals too.
+  const fieldsPath=fieldsJson ? fieldsSidecarPathFor(mirrorPath) : undefined;
+  const assetsPath=hadAssets || fs.existsSync(assetsDir) ? assetsDir : undefined;
+  const assetPaths=outputs.filter(o=>Buffer.isBuffer(o.content)).map(o=>o.path);
+  return {mirrorPath,mirrorPaths,engine:resolvedEngine,summary,assetPaths,...(fieldsPath ? {fieldsPath} : {}),...(assetsPath ? {assetsPath} : {})};
 }
 
 async function main() {
   const args=parseCliArgs(process.argv);
 
   if (!args.docxPath) {
-    console.error('Usage: node scripts/generate-snippet-mirror.js <snippets/.../*.docx> [format=gfm|html] [--debug-xml]');
+    console.error('Usage: node scripts/generate-snippet-mirror.js <snippets/.../*.docx|.dotx|.docm|.dotm> [format=gfm|html|json[,...]] [engine=pandoc|builtin|auto] [revisions=accept|reject|show] [fields=code|value|both] [tables=auto|html|native] [html=fragment|site] [config=<path>] [pandoc-arg=<arg>] [--debug-xml] [--fields-json] [--vba-modules]');
     process.exit(2);
   }
 
   assertFileExists(args.docxPath,'DOCX file');
 
-  const {mirrorPath}=await generateSnippetMirror({
+  const config=loadConfig({configPath:args.configPath});
+
+  const {mirrorPaths,fieldsPath,assetsPath}=await generateSnippetMirror({
     docxPath:args.docxPath,
     format:args.format,
-    debugXml:args.debugXml
+    debugXml:args.debugXml,
+    engine:args.engine,
+    fieldsJson:args.fieldsJson,
+    revisions:args.revisions,
+    fields:args.fields,
+    config:{...config,pandocArgs:args.pandocArgs || config.pandocArgs,tables:args.tables || config.tables,html:args.html || config.html,vbaModules:args.vbaModules || config.vbaModules}
   });
 
-  console.log(`Wrote mirror: ${mirrorPath}`);
+  mirrorPaths.forEach(mirrorPath=>console.log(`Wrote mirror: ${mirrorPath}`));
+  if (fieldsPath) console.log(`Wrote field inventory: ${fieldsPath}`);
+  if (assetsPath && fs.existsSync(assetsPath)) console.log(`Wrote images: ${assetsPath}`);
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
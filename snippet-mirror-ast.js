@@ -0,0 +1,360 @@
+/**
+ * scripts/snippet-mirror-ast.js
+ *
+ * Post-processing for format=json (pandoc's JSON AST).
+ *
+ * In the text formats the sentinels and marker paragraphs are plain string
+ * replacements. In the AST, pandoc has already split their text into
+ * Str / Space tokens, so they are rebuilt as structure instead:
+ * - field sentinels        -> Code inline with class "field"
+ * - revision markers       -> Span with class "insertion" / "deletion"
+ * - header/footer markers  -> Div with classes "snippet-story snippet-<kind>"
+ *                             and part / type attributes
+ * - content controls       -> Div (block) / Span (inline) with class "snippet-control"
+ *                             and tag / alias attributes
+ * - bookmarks              -> empty Span with the bookmark name as id
+ * - REF / PAGEREF links    -> Link to "#<bookmark>" around the field's Code
+ * - review comments        -> meta "snippet-comments" (list of maps)
+ * - VBA module names       -> meta "snippet-vba-modules" (list of {name,kind} maps)
+ * - document properties    -> meta "snippet-properties" (map; custom ones under "custom")
+ *
+ * Output is pretty-printed so the mirror diffs line by line.
+ */
+
+import {INSERTION_PRE,INSERTION_POST,DELETION_PRE,DELETION_POST} from './snippet-mirror-revisions.js';
+import {ANNOTATION_MARKER_PATTERN,newAnnotations,fragmentFor} from './snippet-mirror-controls.js';
+
+function isNodeList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(v=>v && typeof v === 'object' && typeof v.t === 'string');
+}
+
+function str(text) {
+  return {t:'Str',c:text};
+}
+
+/**
+ * inlineText(inlines)
+ *
+ * Flattens Str / Space / SoftBreak back into text; other nodes make it null.
+ */
+function inlineText(inlines) {
+  let text='';
+  for (const node of inlines) {
+    if (node.t === 'Str') text+=node.c;
+    else if (node.t === 'Space' || node.t === 'SoftBreak') text+=' ';
+    else return null;
+  }
+  return text;
+}
+
+/**
+ * mergeFieldSentinels(nodes,{pre,post})
+ *
+ * "==::DOCPROPERTY" Space "Client::==," -> Code "DOCPROPERTY Client", Str ","
+ * An unterminated sentinel is put back as text.
+ */
+function mergeFieldSentinels(nodes,{pre,post}) {
+  const out=[];
+  let pending=null;
+  let pendingNodes=[];
+
+  const takeText=(text)=>{
+    let rest=text;
+    while (rest) {
+      if (pending === null) {
+        const start=rest.indexOf(pre);
+        if (start === -1) {
+          out.push(str(rest));
+          return;
+        }
+        if (start > 0) out.push(str(rest.slice(0,start)));
+        pending='';
+        pendingNodes=[str(rest.slice(start))];
+        rest=rest.slice(start+pre.length);
+        continue;
+      }
+      const end=rest.indexOf(post);
+      if (end === -1) {
+        pending+=rest;
+        return;
+      }
+      out.push({t:'Code',c:[['',['field'],[]],pending+rest.slice(0,end)]});
+      pending=null;
+      pendingNodes=[];
+      rest=rest.slice(end+post.length);
+    }
+  };
+
+  nodes.forEach(node=>{
+    if (node.t === 'Str') {
+      if (pending !== null) pendingNodes.push(node);
+      takeText(node.c);
+      return;
+    }
+    if (pending !== null && (node.t === 'Space' || node.t === 'SoftBreak')) {
+      pending+=' ';
+      pendingNodes.push(node);
+      return;
+    }
+    if (pending !== null) {
+      out.push(...pendingNodes);
+      pending=null;
+      pendingNodes=[];
+    }
+    out.push(node);
+  });
+
+  if (pending !== null) out.push(...pendingNodes);
+  return out;
+}
+
+/**
+ * wrapRevisionSpans(nodes)
+ *
+ * Splits marker text out of Str nodes, then wraps what lies between a pair of
+ * markers in a Span. Markers that don't pair up within the same inline list
+ * (e.g. a change spanning emphasis) are dropped rather than left as text.
+ */
+function wrapRevisionSpans(nodes) {
+  const markers={[INSERTION_PRE]:'insertion',[DELETION_PRE]:'deletion'};
+  const closers={[INSERTION_POST]:'insertion',[DELETION_POST]:'deletion'};
+  const pattern=new RegExp(`(${[INSERTION_PRE,INSERTION_POST,DELETION_PRE,DELETION_POST].map(m=>m.replace(/[+-]/g,'\\$&')).join('|')})`);
+
+  const tokens=nodes.flatMap(node=>{
+    if (node.t !== 'Str' || !pattern.test(node.c)) return [node];
+    return node.c.split(pattern).filter(Boolean).map(part=>{
+      if (markers[part]) return {open:markers[part]};
+      if (closers[part]) return {close:closers[part]};
+      return str(part);
+    });
+  });
+
+  const stack=[{children:[]}];
+  tokens.forEach(token=>{
+    const top=stack[stack.length-1];
+    if (token.open) {
+      stack.push({kind:token.open,children:[]});
+      return;
+    }
+    if (token.close) {
+      if (top.kind !== token.close) return;
+      stack.pop();
+      stack[stack.length-1].children.push({t:'Span',c:[['',[top.kind],[]],top.children]});
+      return;
+    }
+    top.children.push(token);
+  });
+
+  while (stack.length > 1) {
+    const unclosed=stack.pop();
+    stack[stack.length-1].children.push(...unclosed.children);
+  }
+  return stack[0].children;
+}
+
+/**
+ * wrapStorySections(blocks,{pre,post})
+ *
+ * A Para holding only "==%%BEGIN header word/header1.xml default%%==" opens a
+ * Div that runs until the matching END paragraph.
+ */
+function wrapStorySections(blocks,{pre,post}) {
+  const markerOf=(block)=>{
+    if (block.t !== 'Para' && block.t !== 'Plain') return null;
+    const text=inlineText(block.c);
+    if (text === null || !text.startsWith(pre) || !text.endsWith(post)) return null;
+    const [action,kind,partName,type]=text.slice(pre.length,-post.length).trim().split(/\s+/);
+    return {action,kind,partName,type};
+  };
+
+  const stack=[{blocks:[]}];
+  blocks.forEach(block=>{
+    const marker=markerOf(block);
+    if (marker && marker.action === 'BEGIN') {
+      stack.push({marker,blocks:[]});
+      return;
+    }
+    if (marker && marker.action === 'END' && stack.length > 1) {
+      const section=stack.pop();
+      const {kind,partName,type}=section.marker;
+      stack[stack.length-1].blocks.push({
+        t:'Div',
+        c:[['',['snippet-story',`snippet-${kind}`],[['part',partName],['type',type]]],section.blocks]
+      });
+      return;
+    }
+    stack[stack.length-1].blocks.push(block);
+  });
+
+  while (stack.length > 1) {
+    const unclosed=stack.pop();
+    stack[stack.length-1].blocks.push(...unclosed.blocks);
+  }
+  return stack[0].blocks;
+}
+
+function controlAttrs({tag,alias}) {
+  return [['tag',tag],['alias',alias]].filter(([,v])=>v !== null);
+}
+
+function annotationMarkerOf(text) {
+  const match=ANNOTATION_MARKER_PATTERN.exec(text);
+  return match && match[0] === text ? {kind:match[1],index:Number(match[2])} : null;
+}
+
+/**
+ * wrapAnnotations(nodes,annotations)
+ *
+ * Inline control / bookmark / link markers (see snippet-mirror-controls.js).
+ * Runs after mergeFieldSentinels(), so a link marker is followed by the
+ * field's Code. A block control's marker is left alone when it is all the
+ * list holds: wrapControlSections() turns that paragraph into a Div.
+ */
+function wrapAnnotations(nodes,annotations) {
+  const isBlockMarker=node=>{
+    const marker=node.t === 'Str' ? annotationMarkerOf(node.c) : null;
+    return Boolean(marker && /control$/.test(marker.kind) && annotations.controls[marker.index] && !annotations.controls[marker.index].inline);
+  };
+  if (nodes.length === 1 && isBlockMarker(nodes[0])) return nodes;
+
+  const pattern=/(==%%(?:control|\/control|anchor|link):\d+%%==)/;
+  const tokens=nodes.flatMap(node=>{
+    if (node.t !== 'Str' || !pattern.test(node.c)) return [node];
+    return node.c.split(pattern).filter(Boolean).map(part=>{
+      const marker=annotationMarkerOf(part);
+      return marker ? {marker} : str(part);
+    });
+  });
+
+  const stack=[{children:[]}];
+  let link=null;
+  tokens.forEach(token=>{
+    const top=stack[stack.length-1];
+    if (!token.marker) {
+      if (link !== null && token.t === 'Code') {
+        top.children.push({t:'Link',c:[['',[],[]],[token],[fragmentFor(link),'']]});
+      } else {
+        top.children.push(token);
+      }
+      link=null;
+      return;
+    }
+
+    const {kind,index}=token.marker;
+    link=null;
+    if (kind === 'link') {
+      link=annotations.links[index] ?? null;
+    } else if (kind === 'anchor') {
+      if (annotations.bookmarks[index] !== undefined) top.children.push({t:'Span',c:[[annotations.bookmarks[index],[],[]],[]]});
+    } else if (kind === 'control') {
+      if (annotations.controls[index]) stack.push({index,children:[]});
+    } else if (top.index === index) {
+      stack.pop();
+      stack[stack.length-1].children.push({t:'Span',c:[['',['snippet-control'],controlAttrs(annotations.controls[index])],top.children]});
+    }
+  });
+
+  while (stack.length > 1) {
+    const unclosed=stack.pop();
+    stack[stack.length-1].children.push(...unclosed.children);
+  }
+  return stack[0].children;
+}
+
+/**
+ * wrapControlSections(blocks,annotations)
+ *
+ * A Para holding only a block control's begin marker opens a Div that runs
+ * until its end marker.
+ */
+function wrapControlSections(blocks,annotations) {
+  const markerOf=(block)=>{
+    if ((block.t !== 'Para' && block.t !== 'Plain') || block.c.length !== 1 || block.c[0].t !== 'Str') return null;
+    const marker=annotationMarkerOf(block.c[0].c);
+    return marker && /control$/.test(marker.kind) && annotations.controls[marker.index] ? marker : null;
+  };
+
+  const stack=[{blocks:[]}];
+  blocks.forEach(block=>{
+    const marker=markerOf(block);
+    if (marker && marker.kind === 'control') {
+      stack.push({index:marker.index,blocks:[]});
+      return;
+    }
+    if (marker && stack[stack.length-1].index === marker.index) {
+      const section=stack.pop();
+      stack[stack.length-1].blocks.push({
+        t:'Div',
+        c:[['',['snippet-control'],controlAttrs(annotations.controls[marker.index])],section.blocks]
+      });
+      return;
+    }
+    if (marker) return;
+    stack[stack.length-1].blocks.push(block);
+  });
+
+  while (stack.length > 1) {
+    const unclosed=stack.pop();
+    stack[stack.length-1].blocks.push(...unclosed.blocks);
+  }
+  return stack[0].blocks;
+}
+
+function transform(value,markers) {
+  if (Array.isArray(value)) {
+    const children=value.map(v=>transform(v,markers));
+    if (!isNodeList(children)) return children;
+    const inlines=wrapAnnotations(wrapRevisionSpans(mergeFieldSentinels(children,markers.sentinel)),markers.annotations);
+    return wrapControlSections(wrapStorySections(inlines,markers.story),markers.annotations);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k,v])=>[k,transform(v,markers)]));
+  }
+  return value;
+}
+
+function metaString(text) {
+  return {t:'MetaString',c:text};
+}
+
+function metaMap(entries) {
+  return {t:'MetaMap',c:Object.fromEntries(entries.map(([k,v])=>[k,typeof v === 'string' ? metaString(v) : v]))};
+}
+
+/**
+ * postProcessPandocJson(raw,{sentinel:{pre,post},story:{pre,post},comments,properties,annotations,vbaModules})
+ */
+export function postProcessPandocJson(raw,{sentinel,story,comments=[],properties,annotations=newAnnotations(),vbaModules=[]}) {
+  const doc=transform(JSON.parse(raw),{sentinel,story,annotations});
+
+  const custom=properties ? Object.entries(properties.custom) : [];
+  const core=properties ? Object.entries(properties.core) : [];
+  if (core.length > 0 || custom.length > 0) {
+    doc.meta={
+      ...doc.meta,
+      'snippet-properties':metaMap([...core,...(custom.length > 0 ? [['custom',metaMap(custom)]] : [])])
+    };
+  }
+
+  if (comments.length > 0) {
+    doc.meta={
+      ...doc.meta,
+      'snippet-comments':{
+        t:'MetaList',
+        c:comments.map(c=>({
+          t:'MetaMap',
+          c:{author:metaString(c.author),date:metaString(c.date),anchor:metaString(c.anchor),text:metaString(c.text)}
+        }))
+      }
+    };
+  }
+
+  if (vbaModules.length > 0) {
+    doc.meta={
+      ...doc.meta,
+      'snippet-vba-modules':{t:'MetaList',c:vbaModules.map(m=>metaMap([['name',m.name],['kind',m.kind]]))}
+    };
+  }
+
+  return `${JSON.stringify(doc,null,2)}\n`;
+}
@@ -0,0 +1,579 @@
+/**
+ * scripts/snippet-mirror-builtin-renderer.js
+ *
+ * Pure-JavaScript fallback for machines without pandoc.
+ *
+ * Renders the (already sentinel-injected) word/document.xml to GFM or HTML.
+ * Output keeps the field sentinels untouched so that the normal
+ * postProcessPandocOutput() step in generate-snippet-mirror.js applies as-is.
+ *
+ * Coverage is intentionally modest compared to pandoc:
+ * - headings (Heading1..Heading6 / Title styles, or w:outlineLvl)
+ * - paragraphs, bold / italic runs, line breaks, tabs
+ * - bulleted and numbered lists (via word/numbering.xml)
+ * - tables (first row, or the w:tblHeader rows, as header; merged cells become
+ *   colspan / rowspan in HTML)
+ * - hyperlinks (external via relationships, internal via w:anchor)
+ * - inline images (DrawingML blips and VML imagedata, linked by relationship target)
+ * - footnotes / endnotes (numbered in order of first reference)
+ * - field codes (sentinel text is emitted like any other run text)
+ */
+
+import {parseOrderedXml,childrenOf,nameOf,attrOf,firstChild,textOf} from './snippet-mirror-xml.js';
+import {tableGrid} from './snippet-mirror-tables.js';
+
+const SENTINEL_PATTERN=/(==::[\s\S]*?::==)/;
+
+function isOn(toggleNode) {
+  if (!toggleNode) return false;
+  const val=attrOf(toggleNode,'w:val');
+  return val === undefined || !['0','false','off'].includes(String(val).toLowerCase());
+}
+
+/**
+ * Package context
+ *
+ * Hyperlink targets live in word/_rels/document.xml.rels and list kinds
+ * (bullet vs numbered) live in word/numbering.xml.
+ */
+async function readRelationshipTargets(relsXmlString) {
+  if (!relsXmlString) return {};
+  const xml=await parseOrderedXml(relsXmlString);
+  const root=xml.Relationships;
+  return childrenOf(root)
+    .filter(c=>nameOf(c) === 'Relationship')
+    .reduce((acc,rel)=>({...acc,[attrOf(rel,'Id')]:attrOf(rel,'Target')}),{});
+}
+
+async function readNumberingFormats(numberingXmlString) {
+  if (!numberingXmlString) return {};
+  const xml=await parseOrderedXml(numberingXmlString);
+  const root=xml['w:numbering'];
+
+  const abstractFormats=childrenOf(root)
+    .filter(c=>nameOf(c) === 'w:abstractNum')
+    .reduce((acc,abs)=>{
+      const levels=childrenOf(abs)
+        .filter(c=>nameOf(c) === 'w:lvl')
+        .reduce((lv,lvl)=>({...lv,[attrOf(lvl,'w:ilvl')]:attrOf(firstChild(lvl,'w:numFmt'),'w:val') || 'bullet'}),{});
+      return {...acc,[attrOf(abs,'w:abstractNumId')]:levels};
+    },{});
+
+  return childrenOf(root)
+    .filter(c=>nameOf(c) === 'w:num')
+    .reduce((acc,num)=>{
+      const abstractId=attrOf(firstChild(num,'w:abstractNumId'),'w:val');
+      return {...acc,[attrOf(num,'w:numId')]:abstractFormats[abstractId] || {}};
+    },{});
+}
+
+async function readNotes(notesXmlString,rootName,noteName) {
+  if (!notesXmlString) return {};
+  const xml=await parseOrderedXml(notesXmlString);
+  return childrenOf(xml[rootName])
+    .filter(c=>nameOf(c) === noteName)
+    .filter(c=>!['separator','continuationSeparator','continuationNotice'].includes(attrOf(c,'w:type')))
+    .reduce((acc,note)=>({...acc,[attrOf(note,'w:id')]:note}),{});
+}
+
+/**
+ * Inline model
+ *
+ * Runs are flattened into segments:
+ *   {text, bold, italic, href}  or  {lineBreak:true, href}  or  {noteLabel, href}
+ *   or  {image:{src,alt}, href}
+ * Adjacent segments with the same formatting are merged at render time so
+ * Word's habit of splitting text across many runs doesn't leak into output.
+ */
+function runFormatting(run) {
+  const rPr=firstChild(run,'w:rPr');
+  const style=attrOf(firstChild(rPr,'w:rStyle'),'w:val') || '';
+  return {
+    bold:isOn(firstChild(rPr,'w:b')) || /^strong$/i.test(style),
+    italic:isOn(firstChild(rPr,'w:i')) || /^emphasis$/i.test(style)
+  };
+}
+
+function noteSegment(kind,id,ctx,href) {
+  const existing=ctx.noteRefs.find(n=>n.kind === kind && n.id === id);
+  if (existing) return [{noteLabel:existing.label,href}];
+  const label=ctx.noteRefs.length+1;
+  ctx.noteRefs.push({kind,id,label});
+  return [{noteLabel:label,href}];
+}
+
+function findDescendant(node,names) {
+  for (const child of childrenOf(node)) {
+    if (names.includes(nameOf(child))) return child;
+    const found=findDescendant(child,names);
+    if (found) return found;
+  }
+  return undefined;
+}
+
+function imageSegments(drawing,ctx,href) {
+  const blip=findDescendant(drawing,['a:blip','v:imagedata']);
+  const src=ctx.relationships[attrOf(blip,'r:embed') || attrOf(blip,'r:id')];
+  if (!src) return [];
+  const docPr=findDescendant(drawing,['wp:docPr']);
+  const alt=attrOf(docPr,'descr') || attrOf(docPr,'title') || attrOf(blip,'o:title') || '';
+  return [{image:{src,alt},href}];
+}
+
+/**
+ * Field state
+ *
+ * Text between a field's begin and separate fldChars (including the results of
+ * fields nested in that code) is not displayed by Word; pandoc drops it too.
+ * ctx.fieldPhases tracks 'code' / 'result' per open field across paragraphs.
+ */
+function trackFieldChar(fldChar,ctx) {
+  const type=attrOf(fldChar,'w:fldCharType');
+  if (type === 'begin') ctx.fieldPhases.push('code');
+  if (type === 'separate' && ctx.fieldPhases.length > 0) ctx.fieldPhases[ctx.fieldPhases.length-1]='result';
+  if (type === 'end') ctx.fieldPhases.pop();
+}
+
+function inFieldCode(ctx) {
+  return ctx.fieldPhases.includes('code');
+}
+
+function collectRunSegments(run,ctx,href) {
+  const fmt=runFormatting(run);
+  return childrenOf(run).flatMap(child=>{
+    if (nameOf(child) === 'w:fldChar') {
+      trackFieldChar(child,ctx);
+      return [];
+    }
+    if (inFieldCode(ctx)) return [];
+
+    switch (nameOf(child)) {
+    case 'w:t':
+      return [{text:textOf(child),...fmt,href}];
+    case 'w:tab':
+      return [{text:'\t',...fmt,href}];
+    case 'w:noBreakHyphen':
+      return [{text:'-',...fmt,href}];
+    case 'w:br':
+    case 'w:cr':
+      return [{lineBreak:true,href}];
+    case 'w:footnoteReference':
+      return noteSegment('footnote',attrOf(child,'w:id'),ctx,href);
+    case 'w:endnoteReference':
+      return noteSegment('endnote',attrOf(child,'w:id'),ctx,href);
+    case 'w:drawing':
+    case 'w:pict':
+      return imageSegments(child,ctx,href);
+    default:
+      return [];
+    }
+  });
+}
+
+function collectInlineSegments(node,ctx,href) {
+  return childrenOf(node).flatMap(child=>{
+    switch (nameOf(child)) {
+    case 'w:r':
+      return collectRunSegments(child,ctx,href);
+    case 'w:hyperlink': {
+      const relId=attrOf(child,'r:id');
+      const anchor=attrOf(child,'w:anchor');
+      const target=relId ? ctx.relationships[relId] : (anchor ? `#${anchor}` : undefined);
+      return collectInlineSegments(child,ctx,target || href);
+    }
+    case 'w:sdt':
+      return collectInlineSegments(firstChild(child,'w:sdtContent'),ctx,href);
+    case 'w:fldSimple':
+    case 'w:ins':
+    case 'w:smartTag':
+    case 'w:customXml':
+      return collectInlineSegments(child,ctx,href);
+    default:
+      return [];
+    }
+  });
+}
+
+function isPlainText(segment) {
+  return !segment.lineBreak && segment.noteLabel === undefined && !segment.image;
+}
+
+function sameFormatting(a,b) {
+  return isPlainText(a) && isPlainText(b) && a.bold === b.bold && a.italic === b.italic;
+}
+
+function groupBy(items,same) {
+  return items.reduce((groups,item)=>{
+    const last=groups[groups.length-1];
+    if (last && same(last[0],item)) {
+      last.push(item);
+    } else {
+      groups.push([item]);
+    }
+    return groups;
+  },[]);
+}
+
+function escapeMarkdownText(text) {
+  // Leave sentinel spans alone: they become code spans during post-processing.
+  return text.split(SENTINEL_PATTERN).map(part=>{
+    if (SENTINEL_PATTERN.test(part)) return part;
+    return part.replace(/([\\`*_[\]<>#|])/g,'\\$1');
+  }).join('');
+}
+
+function escapeHtmlText(text) {
+  return text
+    .replace(/&/g,'&amp;')
+    .replace(/</g,'&lt;')
+    .replace(/>/g,'&gt;')
+    .replace(/"/g,'&quot;');
+}
+
+function wrapMarkdownEmphasis(text,{bold,italic}) {
+  const marker=`${bold ? '**' : ''}${italic ? '*' : ''}`;
+  if (!marker) return text;
+  const match=/^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+  if (!match[2]) return text;
+  return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+}
+
+function wrapHtmlEmphasis(text,{bold,italic}) {
+  let out=text;
+  if (italic) out=`<em>${out}</em>`;
+  if (bold) out=`<strong>${out}</strong>`;
+  return out;
+}
+
+function renderSegmentsMarkdown(segments) {
+  return groupBy(segments,(a,b)=>a.href === b.href).map(linkGroup=>{
+    const inner=groupBy(linkGroup,sameFormatting).map(group=>{
+      if (group[0].lineBreak) return '\\\n';
+      if (group[0].noteLabel !== undefined) return `[^${group[0].noteLabel}]`;
+      if (group[0].image) return `![${escapeMarkdownText(group[0].image.alt)}](${group[0].image.src})`;
+      const text=escapeMarkdownText(group.map(s=>s.text).join(''));
+      return wrapMarkdownEmphasis(text,group[0]);
+    }).join('');
+    const href=linkGroup[0].href;
+    return href ? `[${inner}](${href})` : inner;
+  }).join('');
+}
+
+function renderSegmentsHtml(segments) {
+  return groupBy(segments,(a,b)=>a.href === b.href).map(linkGroup=>{
+    const inner=groupBy(linkGroup,sameFormatting).map(group=>{
+      if (group[0].lineBreak) return '<br />';
+      if (group[0].noteLabel !== undefined) {
+        const label=group[0].noteLabel;
+        return `<sup><a href="#fn${label}" id="fnref${label}">${label}</a></sup>`;
+      }
+      if (group[0].image) {
+        return `<img src="${escapeHtmlText(group[0].image.src)}" alt="${escapeHtmlText(group[0].image.alt)}" />`;
+      }
+      const text=escapeHtmlText(group.map(s=>s.text).join(''));
+      return wrapHtmlEmphasis(text,group[0]);
+    }).join('');
+    const href=linkGroup[0].href;
+    return href ? `<a href="${escapeHtmlText(href)}">${inner}</a>` : inner;
+  }).join('');
+}
+
+/**
+ * Block model
+ *
+ * The body is flattened into blocks before rendering:
+ *   {type:'heading',level,segments}
+ *   {type:'paragraph',segments}
+ *   {type:'listItem',ordered,level,segments}
+ *   {type:'table',rows:[{header,cells:[{blocks,colspan,rowspan},...]},...]}
+ */
+function headingLevelFor(pPr) {
+  const style=attrOf(firstChild(pPr,'w:pStyle'),'w:val') || '';
+  if (/^title$/i.test(style)) return 1;
+  const styleMatch=/^heading\s*([1-6])$/i.exec(style);
+  if (styleMatch) return Number(styleMatch[1]);
+  const outline=attrOf(firstChild(pPr,'w:outlineLvl'),'w:val');
+  if (outline !== undefined && Number(outline) < 6) return Number(outline)+1;
+  return 0;
+}
+
+function listInfoFor(pPr,ctx) {
+  const numPr=firstChild(pPr,'w:numPr');
+  if (!numPr) return null;
+  const numId=attrOf(firstChild(numPr,'w:numId'),'w:val');
+  if (!numId || numId === '0') return null;
+  const level=Number(attrOf(firstChild(numPr,'w:ilvl'),'w:val') || 0);
+  const numFmt=(ctx.numbering[numId] || {})[String(level)] || 'bullet';
+  return {level,ordered:numFmt !== 'bullet' && numFmt !== 'none'};
+}
+
+function paragraphBlock(p,ctx) {
+  const pPr=firstChild(p,'w:pPr');
+  const segments=collectInlineSegments(p,ctx);
+
+  const level=headingLevelFor(pPr);
+  if (level) return {type:'heading',level,segments};
+
+  const list=listInfoFor(pPr,ctx);
+  if (list) return {type:'listItem',...list,segments};
+
+  return {type:'paragraph',segments};
+}
+
+function tableBlock(tbl,ctx) {
+  const rows=tableGrid(tbl).map(({header,cells})=>({
+    header,
+    cells:cells.map(({tc,colspan,rowspan})=>({blocks:collectBlocks(tc,ctx),colspan,rowspan}))
+  }));
+  return {type:'table',rows};
+}
+
+function collectBlocks(container,ctx) {
+  return childrenOf(container).flatMap(child=>{
+    switch (nameOf(child)) {
+    case 'w:p':
+      return [paragraphBlock(child,ctx)];
+    case 'w:tbl':
+      return [tableBlock(child,ctx)];
+    case 'w:sdt':
+      return collectBlocks(firstChild(child,'w:sdtContent'),ctx);
+    case 'w:customXml':
+    case 'w:ins':
+      return collectBlocks(child,ctx);
+    default:
+      return [];
+    }
+  });
+}
+
+function hasContent(block) {
+  if (block.type === 'table') return block.rows.length > 0;
+  return block.segments.some(s=>!isPlainText(s) || s.text.trim());
+}
+
+/**
+ * collectNoteBodies(ctx)
+ *
+ * Resolves referenced notes to [{label,blocks}] in label order. Notes can
+ * reference further notes, so ctx.noteRefs may grow while we iterate.
+ */
+function collectNoteBodies(ctx) {
+  const bodies=[];
+  for (let i=0;i<ctx.noteRefs.length;i++) {
+    const ref=ctx.noteRefs[i];
+    const note=(ref.kind === 'footnote' ? ctx.footnotes : ctx.endnotes)[ref.id];
+    bodies.push({label:ref.label,blocks:note ? collectBlocks(note,ctx) : []});
+  }
+  return bodies;
+}
+
+/**
+ * Markdown rendering
+ */
+function renderTableCellMarkdown(cellBlocks) {
+  return cellBlocks
+    .filter(hasContent)
+    .map(b=>(b.type === 'table' ? '' : renderSegmentsMarkdown(b.segments)))
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\\\n/g,' ')
+    .replace(/\n/g,' ')
+    .trim();
+}
+
+function renderTableMarkdown(block) {
+  // Pipe tables can't merge cells: a spanning cell is followed by empty ones.
+  const width=Math.max(...block.rows.map(r=>r.cells.reduce((sum,c)=>sum+c.colspan,0)));
+  const rows=block.rows.map(r=>{
+    const cells=r.cells.flatMap(c=>[renderTableCellMarkdown(c.blocks),...Array(c.colspan-1).fill('')]);
+    while (cells.length < width) cells.push('');
+    return `| ${cells.join(' | ')} |`;
+  });
+  const divider=`|${Array.from({length:width},()=>'---').join('|')}|`;
+  return [rows[0],divider,...rows.slice(1)].join('\n');
+}
+
+function renderNotesMarkdown(notes) {
+  return notes.map(({label,blocks})=>{
+    const text=blocks
+      .filter(hasContent)
+      .map(b=>(b.type === 'table' ? renderTableMarkdown(b) : renderSegmentsMarkdown(b.segments).trim()))
+      .join('\n\n    ');
+    return `[^${label}]: ${text}`;
+  }).join('\n\n');
+}
+
+function renderBlocksMarkdown(blocks) {
+  const out=[];
+  let counters=[];
+
+  blocks.filter(hasContent).forEach((block,i,all)=>{
+    const prev=all[i-1];
+    const continuesList=block.type === 'listItem' && prev && prev.type === 'listItem';
+    if (out.length > 0) out.push(continuesList ? '\n' : '\n\n');
+
+    if (block.type !== 'listItem') counters=[];
+
+    switch (block.type) {
+    case 'heading':
+      out.push(`${'#'.repeat(block.level)} ${renderSegmentsMarkdown(block.segments).trim()}`);
+      break;
+    case 'listItem': {
+      counters=counters.slice(0,block.level+1);
+      counters[block.level]=(counters[block.level] || 0)+1;
+      const marker=block.ordered ? `${counters[block.level]}.` : '-';
+      out.push(`${'    '.repeat(block.level)}${marker} ${renderSegmentsMarkdown(block.segments).trim()}`);
+      break;
+    }
+    case 'table':
+      out.push(renderTableMarkdown(block));
+      break;
+    default:
+      out.push(renderSegmentsMarkdown(block.segments).trim());
+    }
+  });
+
+  return out.length > 0 ? `${out.join('')}\n` : '';
+}
+
+/**
+ * HTML rendering
+ */
+function renderListHtml(items) {
+  // items: consecutive listItem blocks; nest by level.
+  const out=[];
+  const open=[];
+
+  items.forEach(item=>{
+    while (open.length > item.level+1) {
+      out.push(`</li>\n</${open.pop()}>`);
+    }
+    if (open.length === item.level+1) {
+      out.push('</li>\n');
+    }
+    while (open.length < item.level+1) {
+      const tag=item.ordered ? 'ol' : 'ul';
+      out.push(`<${tag}>\n`);
+      open.push(tag);
+    }
+    out.push(`<li>${renderSegmentsHtml(item.segments).trim()}`);
+  });
+
+  while (open.length > 0) {
+    out.push(`</li>\n</${open.pop()}>`);
+  }
+  return out.join('');
+}
+
+function renderTableCellHtml(cellBlocks) {
+  const content=cellBlocks.filter(hasContent);
+  if (content.length === 1 && content[0].type === 'paragraph') {
+    return renderSegmentsHtml(content[0].segments).trim();
+  }
+  return renderBlocksHtml(content).trim();
+}
+
+function renderTableRowHtml(row) {
+  const tag=row.header ? 'th' : 'td';
+  const cells=row.cells.map(c=>{
+    const spans=`${c.colspan > 1 ? ` colspan="${c.colspan}"` : ''}${c.rowspan > 1 ? ` rowspan="${c.rowspan}"` : ''}`;
+    return `<${tag}${spans}>${renderTableCellHtml(c.blocks)}</${tag}>`;
+  });
+  return `<tr>\n${cells.join('\n')}\n</tr>`;
+}
+
+function renderTableHtml(block) {
+  // Leading header rows go in <thead>, unless a rowspan would cross into <tbody> (browsers cut it off there).
+  const leading=block.rows.findIndex(r=>!r.header);
+  const crossing=leading > 0 && block.rows.slice(0,leading).some((r,i)=>r.cells.some(c=>i+c.rowspan > leading));
+  const headCount=leading === -1 ? block.rows.length : (crossing ? 0 : leading);
+  const head=block.rows.slice(0,headCount);
+  const body=block.rows.slice(headCount);
+  const headHtml=head.length > 0 ? `\n<thead>\n${head.map(renderTableRowHtml).join('\n')}\n</thead>` : '';
+  const bodyHtml=body.length > 0 ? `\n<tbody>\n${body.map(renderTableRowHtml).join('\n')}\n</tbody>` : '';
+  return `<table>${headHtml}${bodyHtml}\n</table>`;
+}
+
+function renderNotesHtml(notes) {
+  const items=notes.map(({label,blocks})=>`<li id="fn${label}">${renderBlocksHtml(blocks).trim()}</li>`);
+  return `<section class="footnotes">\n<hr />\n<ol>\n${items.join('\n')}\n</ol>\n</section>`;
+}
+
+function renderBlocksHtml(blocks) {
+  const content=blocks.filter(hasContent);
+  const out=[];
+
+  for (let i=0;i<content.length;i++) {
+    const block=content[i];
+    switch (block.type) {
+    case 'heading':
+      out.push(`<h${block.level}>${renderSegmentsHtml(block.segments).trim()}</h${block.level}>`);
+      break;
+    case 'listItem': {
+      let j=i;
+      while (j < content.length && content[j].type === 'listItem') j++;
+      out.push(renderListHtml(content.slice(i,j)));
+      i=j-1;
+      break;
+    }
+    case 'table':
+      out.push(renderTableHtml(block));
+      break;
+    default:
+      out.push(`<p>${renderSegmentsHtml(block.segments).trim()}</p>`);
+    }
+  }
+
+  return out.length > 0 ? `${out.join('\n')}\n` : '';
+}
+
+/**
+ * createRenderContext({relsXmlString,numberingXmlString,footnotesXmlString,endnotesXmlString})
+ */
+export async function createRenderContext({relsXmlString,numberingXmlString,footnotesXmlString,endnotesXmlString}) {
+  return {
+    relationships:await readRelationshipTargets(relsXmlString),
+    numbering:await readNumberingFormats(numberingXmlString),
+    footnotes:await readNotes(footnotesXmlString,'w:footnotes','w:footnote'),
+    endnotes:await readNotes(endnotesXmlString,'w:endnotes','w:endnote'),
+    noteRefs:[],
+    fieldPhases:[]
+  };
+}
+
+/**
+ * renderTableXmlHtml(tbl,ctx)
+ *
+ * One w:tbl node as an HTML table (nested tables included), sentinels intact.
+ * Used for tables a GFM mirror embeds as HTML (see snippet-mirror-tables.js).
+ * Kept free of blank lines, which would end a Markdown HTML block.
+ */
+export function renderTableXmlHtml(tbl,ctx) {
+  return renderTableHtml(tableBlock(tbl,ctx)).replace(/\n{2,}/g,'\n');
+}
+
+/**
+ * renderDocumentXmlBuiltin(documentXmlString,{format,relsXmlString,numberingXmlString,footnotesXmlString,endnotesXmlString})
+ *
+ * Returns pandoc-equivalent raw output (GFM or HTML) with sentinels intact.
+ */
+export async function renderDocumentXmlBuiltin(documentXmlString,{format,...parts}) {
+  const xml=await parseOrderedXml(documentXmlString);
+  const body=firstChild(xml['w:document'],'w:body');
+  if (!body) {
+    throw new Error('Could not find w:body inside word/document.xml.');
+  }
+
+  const ctx=await createRenderContext(parts);
+
+  const blocks=collectBlocks(body,ctx);
+  const notes=collectNoteBodies(ctx);
+
+  if (format === 'html') {
+    const html=renderBlocksHtml(blocks);
+    return notes.length > 0 ? `${html}${renderNotesHtml(notes)}\n` : html;
+  }
+
+  const markdown=renderBlocksMarkdown(blocks);
+  return notes.length > 0 ? `${markdown}\n${renderNotesMarkdown(notes)}\n` : markdown;
+}
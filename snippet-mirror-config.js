@@ -0,0 +1,228 @@
+/**
+ * scripts/snippet-mirror-config.js
+ *
+ * Project configuration for the mirror scripts.
+ *
+ * Read from (first match wins):
+ * - config=<path> on the command line
+ * - .snippet-mirror.json in the repo root
+ * - the "snippetMirror" key of package.json
+ *
+ * Example:
+ *   {
+ *     "roots": [
+ *       {"source":"snippets","mirror":"snippets-mirror"},
+ *       {"source":"templates","mirror":"templates-mirror"}
+ *     ],
+ *     "include": ["**\/*.{docx,dotx,docm,dotm}"],
+ *     "exclude": ["drafts/**", "**\/*.old.docx"],
+ *     "format": "gfm,html",
+ *     "pandocArgs": ["--wrap=none"],
+ *     "tables": "auto",
+ *     "html": "fragment",
+ *     "vbaModules": false,
+ *     "lint": {
+ *       "properties": ["Client Name", "Project"],
+ *       "forbidden": ["Acme Corp"],
+ *       "rules": {"empty-field": "error", "forbidden-literal": "warning"}
+ *     }
+ *   }
+ *
+ * include / exclude globs are matched against paths relative to each source
+ * root ("*" stays within a folder, "**" crosses folders). The first root's
+ * mirror folder also holds the manifest and reports. CLI flags override the file.
+ * "tables" is the Markdown table mode (see snippet-mirror-tables.js),
+ * "html" the HTML mirror mode (see snippet-mirror-site.js),
+ * "vbaModules" lists the VBA module names of .docm / .dotm sources in their
+ * mirrors (see snippet-mirror-package.js) and "lint" configures snippet-mirror-lint.js (mode, rule names and severities
+ * are checked there).
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const CONFIG_FILE_NAME='.snippet-mirror.json';
+export const PACKAGE_JSON_KEY='snippetMirror';
+
+export const DEFAULT_CONFIG={
+  roots:[{source:'snippets',mirror:'snippets-mirror'}],
+  include:['**/*.{docx,dotx,docm,dotm}'],
+  exclude:[],
+  format:'gfm',
+  pandocArgs:[],
+  tables:'auto',
+  html:'fragment',
+  vbaModules:false,
+  lint:{properties:null,forbidden:[],rules:{}}
+};
+
+function normalizeRootPath(value) {
+  return path.posix.normalize(String(value).replace(/\\/g,'/')).replace(/^\.\//,'').replace(/\/+$/,'');
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(v=>typeof v === 'string');
+}
+
+/**
+ * normalizeConfig(raw,label)
+ *
+ * Fills in defaults and validates types; label names the source in errors.
+ */
+export function normalizeConfig(raw,label='config') {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid ${label}: expected an object.`);
+  }
+
+  const roots=raw.roots === undefined ? DEFAULT_CONFIG.roots : raw.roots;
+  if (!Array.isArray(roots) || roots.length === 0 || !roots.every(r=>r && typeof r.source === 'string' && typeof r.mirror === 'string')) {
+    throw new Error(`Invalid ${label}: "roots" must be a non-empty array of {"source","mirror"} folder pairs.`);
+  }
+  ['include','exclude','pandocArgs'].forEach(key=>{
+    if (raw[key] !== undefined && !isStringArray(raw[key])) {
+      throw new Error(`Invalid ${label}: "${key}" must be an array of strings.`);
+    }
+  });
+  if (raw.format !== undefined && typeof raw.format !== 'string' && !isStringArray(raw.format)) {
+    throw new Error(`Invalid ${label}: "format" must be a string or an array of strings.`);
+  }
+  if (raw.tables !== undefined && typeof raw.tables !== 'string') {
+    throw new Error(`Invalid ${label}: "tables" must be a string.`);
+  }
+  if (raw.html !== undefined && typeof raw.html !== 'string') {
+    throw new Error(`Invalid ${label}: "html" must be a string.`);
+  }
+  if (raw.vbaModules !== undefined && typeof raw.vbaModules !== 'boolean') {
+    throw new Error(`Invalid ${label}: "vbaModules" must be true or false.`);
+  }
+
+  const lint=raw.lint === undefined ? {} : raw.lint;
+  if (!lint || typeof lint !== 'object' || Array.isArray(lint)) {
+    throw new Error(`Invalid ${label}: "lint" must be an object.`);
+  }
+  ['properties','forbidden'].forEach(key=>{
+    if (lint[key] !== undefined && !isStringArray(lint[key])) {
+      throw new Error(`Invalid ${label}: "lint.${key}" must be an array of strings.`);
+    }
+  });
+  if (lint.rules !== undefined && (!lint.rules || typeof lint.rules !== 'object' || Array.isArray(lint.rules) || !Object.values(lint.rules).every(v=>typeof v === 'string'))) {
+    throw new Error(`Invalid ${label}: "lint.rules" must map rule names to severities.`);
+  }
+
+  const normalizedRoots=roots.map(r=>({source:normalizeRootPath(r.source),mirror:normalizeRootPath(r.mirror)}));
+  const mirrors=normalizedRoots.map(r=>r.mirror);
+  if (mirrors.some((m,i)=>mirrors.indexOf(m) !== i)) {
+    throw new Error(`Invalid ${label}: each root needs its own mirror folder.`);
+  }
+
+  return {
+    roots:normalizedRoots,
+    include:raw.include || DEFAULT_CONFIG.include,
+    exclude:raw.exclude || DEFAULT_CONFIG.exclude,
+    format:Array.isArray(raw.format) ? raw.format.join(',') : (raw.format || DEFAULT_CONFIG.format),
+    pandocArgs:raw.pandocArgs || DEFAULT_CONFIG.pandocArgs,
+    tables:raw.tables || DEFAULT_CONFIG.tables,
+    html:raw.html || DEFAULT_CONFIG.html,
+    vbaModules:raw.vbaModules ?? DEFAULT_CONFIG.vbaModules,
+    lint:{
+      // null: no allowlist, so DOCPROPERTY names are checked against the document's own properties.
+      properties:lint.properties || DEFAULT_CONFIG.lint.properties,
+      forbidden:lint.forbidden || DEFAULT_CONFIG.lint.forbidden,
+      rules:lint.rules || DEFAULT_CONFIG.lint.rules
+    }
+  };
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath,'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read ${filePath}: ${err?.message || String(err)}`);
+  }
+}
+
+/**
+ * loadConfig({configPath,cwd})
+ *
+ * Returns the normalized config plus `path`, the file it came from (null when
+ * the defaults apply).
+ */
+export function loadConfig({configPath,cwd=process.cwd()}={}) {
+  if (configPath) {
+    return {...normalizeConfig(readJson(path.resolve(cwd,configPath)),configPath),path:configPath};
+  }
+
+  const configFile=path.join(cwd,CONFIG_FILE_NAME);
+  if (fs.existsSync(configFile)) {
+    return {...normalizeConfig(readJson(configFile),CONFIG_FILE_NAME),path:CONFIG_FILE_NAME};
+  }
+
+  const packageJson=path.join(cwd,'package.json');
+  if (fs.existsSync(packageJson)) {
+    const pkg=readJson(packageJson);
+    if (pkg && pkg[PACKAGE_JSON_KEY] !== undefined) {
+      return {...normalizeConfig(pkg[PACKAGE_JSON_KEY],`package.json "${PACKAGE_JSON_KEY}"`),path:'package.json'};
+    }
+  }
+
+  return {...normalizeConfig({}),path:null};
+}
+
+/**
+ * globToRegExp(glob)
+ *
+ * Supports "**", "*", "?" and {a,b}. A leading "**\/" also matches top-level files.
+ */
+export function globToRegExp(glob) {
+  let re='';
+  for (let i=0;i < glob.length;i++) {
+    const ch=glob[i];
+    if (ch === '*' && glob[i+1] === '*') {
+      const slash=glob[i+2] === '/';
+      re+=slash ? '(?:.*/)?' : '.*';
+      i+=slash ? 2 : 1;
+      continue;
+    }
+    if (ch === '*') {
+      re+='[^/]*';
+      continue;
+    }
+    if (ch === '?') {
+      re+='[^/]';
+      continue;
+    }
+    if (ch === '{') {
+      const end=glob.indexOf('}',i);
+      if (end !== -1) {
+        re+=`(?:${glob.slice(i+1,end).split(',').map(part=>part.replace(/[.+^$()|[\]\\]/g,'\\$&')).join('|')})`;
+        i=end;
+        continue;
+      }
+    }
+    re+=ch.replace(/[.+^$(){}|[\]\\]/g,'\\$&');
+  }
+  return new RegExp(`^${re}$`,'i');
+}
+
+/**
+ * rootForSource(config,filePath)
+ *
+ * The root pair whose source folder contains filePath (repo-relative), or null.
+ */
+export function rootForSource(config,filePath) {
+  const normalized=filePath.replace(/\\/g,'/');
+  return config.roots.find(r=>normalized.toLowerCase().startsWith(`${r.source.toLowerCase()}/`)) || null;
+}
+
+/**
+ * isIncludedSource(config,filePath)
+ *
+ * True for files under a source root that match an include glob and no exclude glob.
+ */
+export function isIncludedSource(config,filePath) {
+  const root=rootForSource(config,filePath);
+  if (!root) return false;
+  const rel=filePath.replace(/\\/g,'/').slice(root.source.length+1);
+  const matches=glob=>globToRegExp(glob).test(rel);
+  return config.include.some(matches) && !config.exclude.some(matches);
+}
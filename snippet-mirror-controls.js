@@ -0,0 +1,248 @@
+/**
+ * scripts/snippet-mirror-controls.js
+ *
+ * Content controls, bookmarks and cross-references for order-preserving
+ * xml2js trees (see snippet-mirror-xml.js).
+ *
+ * pandoc drops a content control's tag and alias and turns bookmarks into
+ * nothing a reviewer can follow, so the preprocessing marks them instead:
+ * - content controls (w:sdt): unwrapped, their content bracketed by marker
+ *   paragraphs (block controls) or marker runs (inline controls); row and cell
+ *   level controls are only unwrapped
+ * - bookmarks: each w:bookmarkStart becomes an anchor marker (Word's hidden
+ *   _GoBack excepted); the bookmark elements themselves are removed
+ * - REF / PAGEREF fields naming a bookmark of the document: a link marker
+ *   right before the field's sentinel
+ * Markers only carry an index into the annotations record ({controls,
+ * bookmarks,links}, see newAnnotations()), so tags and names never go through
+ * pandoc's escaping.
+ *
+ * replaceAnnotationMarkers() renders them (JSON: see snippet-mirror-ast.js):
+ *                Markdown                          HTML
+ *   control      {control alias="A" tag="t"} ...   <div|span class="snippet-control" data-tag data-alias title> ...
+ *                {/control}                        </div|span>
+ *   bookmark     <a id="name"></a>                 <a id="name"></a>
+ *   REF field    [`REF name \h`](#name)            <a href="#name">{{REF name \h}}</a>
+ */
+
+import {childrenOf,nameOf,attrOf,firstChild,elementNode,textNode} from './snippet-mirror-xml.js';
+
+const MARKER_PRE='==%%';
+const MARKER_POST='%%==';
+
+// kind:index, e.g. ==%%control:0%%== ... ==%%/control:0%%==, ==%%anchor:3%%==, ==%%link:1%%==
+export const ANNOTATION_MARKER_PATTERN=new RegExp(`${MARKER_PRE}(control|/control|anchor|link):(\\d+)${MARKER_POST}`);
+
+const HIDDEN_BOOKMARKS=new Set(['_GoBack']);
+
+// Containers whose children are runs, not paragraphs.
+const INLINE_CONTAINERS=new Set(['w:p','w:hyperlink','w:fldSimple','w:smartTag']);
+
+// Content controls / bookmarks around rows or cells: no room for a marker paragraph there.
+const TABLE_STRUCTURE=new Set(['w:tbl','w:tr']);
+
+export function newAnnotations() {
+  return {controls:[],bookmarks:[],links:[]};
+}
+
+function markerText(kind,index) {
+  return `${MARKER_PRE}${kind}:${index}${MARKER_POST}`;
+}
+
+function markerRun(text) {
+  return elementNode('w:r',null,[elementNode('w:t',{'xml:space':'preserve'},[textNode(text)])]);
+}
+
+function markerParagraph(text) {
+  return elementNode('w:p',null,[markerRun(text)]);
+}
+
+/**
+ * mapChildren(node,inline,fn)
+ *
+ * Rebuilds node.$$ from fn(child,inline) (an array per child); inline tells
+ * whether the children sit inside a paragraph.
+ */
+function mapChildren(node,inline,fn) {
+  if (!Array.isArray(node.$$)) return;
+  node.$$=node.$$.flatMap(child=>fn(child,inline));
+}
+
+/**
+ * registerBookmarks(xml,annotations)
+ *
+ * Adds the part's bookmark names to annotations.bookmarks, so fields in any
+ * part can link to them. Call for every part before linkMarkerFor().
+ */
+export function registerBookmarks(xml,annotations) {
+  const walk=node=>childrenOf(node).forEach(child=>{
+    const name=nameOf(child) === 'w:bookmarkStart' ? attrOf(child,'w:name') : null;
+    if (name && !HIDDEN_BOOKMARKS.has(name) && !annotations.bookmarks.includes(name)) {
+      annotations.bookmarks.push(name);
+    }
+    walk(child);
+  });
+  Object.values(xml).forEach(root=>walk({$$:[root]}));
+}
+
+/**
+ * linkMarkerFor(bookmark,annotations)
+ *
+ * The marker text to put before a REF / PAGEREF sentinel, or '' when the
+ * document has no such bookmark.
+ */
+export function linkMarkerFor(bookmark,annotations) {
+  if (!bookmark || !annotations.bookmarks.includes(bookmark)) return '';
+  annotations.links.push(bookmark);
+  return markerText('link',annotations.links.length-1);
+}
+
+/**
+ * markBookmarks(xml,annotations)
+ *
+ * Replaces each registered bookmark's first w:bookmarkStart with an anchor
+ * marker (a run inside paragraphs, a paragraph of its own between them) and
+ * drops all other bookmark elements. A bookmark directly in a table or row
+ * is anchored at the start of the next paragraph (the next cell's).
+ */
+export function markBookmarks(xml,annotations) {
+  const marked=new Set();
+  let pending=[];
+  const visit=(child,inline,parentName)=>{
+    const name=nameOf(child);
+    if (name === 'w:bookmarkEnd') return [];
+    if (name === 'w:bookmarkStart') {
+      const index=annotations.bookmarks.indexOf(attrOf(child,'w:name'));
+      if (index === -1 || marked.has(index)) return [];
+      marked.add(index);
+      const text=markerText('anchor',index);
+      if (TABLE_STRUCTURE.has(parentName)) {
+        pending.push(markerRun(text));
+        return [];
+      }
+      return [inline ? markerRun(text) : markerParagraph(text)];
+    }
+    if (name === 'w:p' && pending.length > 0) {
+      const children=childrenOf(child);
+      const at=nameOf(children[0]) === 'w:pPr' ? 1 : 0;
+      child.$$=[...children.slice(0,at),...pending,...children.slice(at)];
+      pending=[];
+    }
+    mapChildren(child,inline || INLINE_CONTAINERS.has(name),(c,i)=>visit(c,i,name));
+    return [child];
+  };
+  Object.values(xml).forEach(root=>mapChildren(root,false,(c,i)=>visit(c,i,nameOf(root))));
+}
+
+/**
+ * markContentControls(xml,annotations)
+ *
+ * Unwraps every w:sdt, recording {tag,alias,inline} in annotations.controls
+ * (missing properties are null) and bracketing the content with markers.
+ */
+export function markContentControls(xml,annotations) {
+  const visit=(child,inline,parentName)=>{
+    const name=nameOf(child);
+    if (name !== 'w:sdt') {
+      mapChildren(child,inline || INLINE_CONTAINERS.has(name),(c,i)=>visit(c,i,name));
+      return [child];
+    }
+
+    const content=firstChild(child,'w:sdtContent') || elementNode('w:sdtContent',null,[]);
+    mapChildren(content,inline,(c,i)=>visit(c,i,parentName));
+    if (TABLE_STRUCTURE.has(parentName)) return childrenOf(content);
+
+    const sdtPr=firstChild(child,'w:sdtPr');
+    annotations.controls.push({
+      tag:attrOf(firstChild(sdtPr,'w:tag'),'w:val') ?? null,
+      alias:attrOf(firstChild(sdtPr,'w:alias'),'w:val') ?? null,
+      inline
+    });
+    const index=annotations.controls.length-1;
+    const marker=inline ? markerRun : markerParagraph;
+    return [marker(markerText('control',index)),...childrenOf(content),marker(markerText('/control',index))];
+  };
+  Object.values(xml).forEach(root=>mapChildren(root,false,(c,i)=>visit(c,i,nameOf(root))));
+}
+
+function escapeHtmlAttr(text) {
+  return text
+    .replace(/&/g,'&amp;')
+    .replace(/</g,'&lt;')
+    .replace(/>/g,'&gt;')
+    .replace(/"/g,'&quot;');
+}
+
+function escapeMarkdownText(text) {
+  return text.replace(/([\\`*_[\]<>"])/g,'\\$1');
+}
+
+export function fragmentFor(bookmark) {
+  return `#${encodeURIComponent(bookmark)}`;
+}
+
+/**
+ * controlTitle(control)
+ *
+ * "Alias (tag)", "Alias", "tag" or "content control".
+ */
+export function controlTitle({tag,alias}) {
+  if (alias && tag && alias !== tag) return `${alias} (${tag})`;
+  return alias || tag || 'content control';
+}
+
+function renderControlOpen(control,{html}) {
+  if (!html) {
+    const attrs=[['alias',control.alias],['tag',control.tag]]
+      .filter(([,v])=>v !== null)
+      .map(([k,v])=>` ${k}="${escapeMarkdownText(v)}"`)
+      .join('');
+    return `{control${attrs}}`;
+  }
+  const attrs=[['data-tag',control.tag],['data-alias',control.alias]]
+    .filter(([,v])=>v !== null)
+    .map(([k,v])=>` ${k}="${escapeHtmlAttr(v)}"`)
+    .join('');
+  return `<${control.inline ? 'span' : 'div'} class="snippet-control"${attrs} title="${escapeHtmlAttr(controlTitle(control))}">`;
+}
+
+/**
+ * replaceAnnotationMarkers(output,{html,annotations})
+ *
+ * Runs after the field sentinels were converted, so a link marker is followed
+ * by `code` (Markdown) or {{code}} / <code>code</code> (HTML). Markers whose
+ * record is missing are dropped.
+ */
+export function replaceAnnotationMarkers(output,{html,annotations}) {
+  const {controls,bookmarks,links}=annotations;
+  const marker=kind=>`${MARKER_PRE}${kind}:(\\d+)${MARKER_POST}`;
+  const field=html ? '(\\{\\{[\\s\\S]*?\\}\\}|<code>[\\s\\S]*?</code>)' : '(`[^`\\n]*`)';
+
+  let out=output.replace(new RegExp(`${marker('link')}${field}`,'g'),(m,index,code)=>{
+    const bookmark=links[Number(index)];
+    if (bookmark === undefined) return code;
+    return html ? `<a href="${escapeHtmlAttr(fragmentFor(bookmark))}">${code}</a>` : `[${code}](${fragmentFor(bookmark)})`;
+  });
+
+  out=out.replace(new RegExp(marker('anchor'),'g'),(m,index)=>{
+    const bookmark=bookmarks[Number(index)];
+    return bookmark === undefined ? '' : `<a id="${escapeHtmlAttr(bookmark)}"></a>`;
+  });
+
+  if (html) {
+    // Block controls arrive as marker paragraphs.
+    out=out.replace(new RegExp(`<p>\\s*(${MARKER_PRE}/?control:\\d+${MARKER_POST})\\s*</p>`,'g'),'$1');
+  }
+  out=out.replace(new RegExp(marker('control'),'g'),(m,index)=>{
+    const control=controls[Number(index)];
+    return control ? renderControlOpen(control,{html}) : '';
+  });
+  out=out.replace(new RegExp(marker('/control'),'g'),(m,index)=>{
+    const control=controls[Number(index)];
+    if (!control) return '';
+    if (!html) return '{/control}';
+    return control.inline ? '</span>' : '</div>';
+  });
+
+  return out.replace(new RegExp(marker('link'),'g'),'');
+}
@@ -0,0 +1,135 @@
+/**
+ * scripts/snippet-mirror-diff.js
+ *
+ * Minimal line-based unified diff (LCS), used by `--check` to show why a
+ * mirror on disk doesn't match what the generator would write.
+ *
+ * Mirrors are small text files, so the O(n*m) table is fine; common prefix and
+ * suffix lines are trimmed first to keep it smaller still. When the changed
+ * regions are too large for the table (MAX_LCS_CELLS), the diff is replaced by
+ * a one-line "differ" message instead of running out of memory.
+ */
+
+// 4M cells of the Uint32Array table: 16 MB.
+const MAX_LCS_CELLS=4*1024*1024;
+
+// A final line without a trailing newline compares unequal to the same text with one.
+const NO_EOL='\u0000no-eol';
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines=text.split('\n');
+  if (lines[lines.length-1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length-1]+=NO_EOL;
+  }
+  return lines;
+}
+
+function formatLine(type,line) {
+  if (!line.endsWith(NO_EOL)) return `${type}${line}`;
+  return `${type}${line.slice(0,-NO_EOL.length)}\n\\ No newline at end of file`;
+}
+
+/**
+ * diffLines(a,b)
+ *
+ * Returns [{type:' '|'-'|'+',line,aIndex,bIndex}] describing how to turn a into b,
+ * or null when the changed regions exceed MAX_LCS_CELLS.
+ */
+function diffLines(a,b) {
+  let prefix=0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix=0;
+  while (suffix < a.length-prefix && suffix < b.length-prefix && a[a.length-1-suffix] === b[b.length-1-suffix]) suffix++;
+
+  const midA=a.slice(prefix,a.length-suffix);
+  const midB=b.slice(prefix,b.length-suffix);
+  const n=midA.length;
+  const m=midB.length;
+  if ((n+1)*(m+1) > MAX_LCS_CELLS) return null;
+
+  // lcs[i*(m+1)+j] = LCS length of midA[i..] and midB[j..]
+  const lcs=new Uint32Array((n+1)*(m+1));
+  for (let i=n-1;i >= 0;i--) {
+    for (let j=m-1;j >= 0;j--) {
+      lcs[i*(m+1)+j]=midA[i] === midB[j]
+        ? lcs[(i+1)*(m+1)+j+1]+1
+        : Math.max(lcs[(i+1)*(m+1)+j],lcs[i*(m+1)+j+1]);
+    }
+  }
+
+  const ops=[];
+  for (let k=0;k < prefix;k++) ops.push({type:' ',line:a[k],aIndex:k,bIndex:k});
+
+  let i=0;
+  let j=0;
+  while (i < n || j < m) {
+    if (i < n && j < m && midA[i] === midB[j]) {
+      ops.push({type:' ',line:midA[i],aIndex:prefix+i,bIndex:prefix+j});
+      i++;
+      j++;
+    } else if (j < m && (i >= n || lcs[i*(m+1)+j+1] > lcs[(i+1)*(m+1)+j])) {
+      ops.push({type:'+',line:midB[j],aIndex:prefix+i,bIndex:prefix+j});
+      j++;
+    } else {
+      ops.push({type:'-',line:midA[i],aIndex:prefix+i,bIndex:prefix+j});
+      i++;
+    }
+  }
+
+  for (let k=0;k < suffix;k++) {
+    ops.push({type:' ',line:a[a.length-suffix+k],aIndex:a.length-suffix+k,bIndex:b.length-suffix+k});
+  }
+  return ops;
+}
+
+function hunkRange(start,count) {
+  // Unified diff convention: an empty range is reported at the line before it.
+  if (count === 0) return `${start},0`;
+  if (count === 1) return `${start+1}`;
+  return `${start+1},${count}`;
+}
+
+/**
+ * unifiedDiff(oldText,newText,{fromFile,toFile,context})
+ *
+ * Returns '' when the texts are identical.
+ */
+export function unifiedDiff(oldText,newText,{fromFile='a',toFile='b',context=3}={}) {
+  if (oldText === newText) return '';
+
+  const oldLines=splitLines(oldText);
+  const newLines=splitLines(newText);
+  const ops=diffLines(oldLines,newLines);
+  if (!ops) {
+    return `Files ${fromFile} and ${toFile} differ (${oldLines.length} vs ${newLines.length} lines; too many changes to diff)\n`;
+  }
+  const changed=ops.map((op,i)=>(op.type === ' ' ? -1 : i)).filter(i=>i !== -1);
+
+  // Group changes whose context windows overlap into hunks.
+  const hunks=[];
+  changed.forEach(index=>{
+    const last=hunks[hunks.length-1];
+    if (last && index-last.end <= context*2) {
+      last.end=index;
+    } else {
+      hunks.push({start:index,end:index});
+    }
+  });
+
+  const out=[`--- ${fromFile}`,`+++ ${toFile}`];
+  hunks.forEach(({start,end})=>{
+    const from=Math.max(0,start-context);
+    const to=Math.min(ops.length-1,end+context);
+    const slice=ops.slice(from,to+1);
+
+    const aCount=slice.filter(op=>op.type !== '+').length;
+    const bCount=slice.filter(op=>op.type !== '-').length;
+    out.push(`@@ -${hunkRange(slice[0].aIndex,aCount)} +${hunkRange(slice[0].bIndex,bCount)} @@`);
+    slice.forEach(op=>out.push(formatLine(op.type,op.line)));
+  });
+
+  return `${out.join('\n')}\n`;
+}
@@ -0,0 +1,227 @@
+/**
+ * scripts/snippet-mirror-fields.js
+ *
+ * Word field parser for order-preserving xml2js trees (see snippet-mirror-xml.js).
+ *
+ * Complex fields are spread over runs (and sometimes paragraphs):
+ *   <w:fldChar begin/> <w:instrText>code</w:instrText> ... <w:fldChar separate/> result ... <w:fldChar end/>
+ * and can nest, e.g. IF { MERGEFIELD Foo } = "x" "a" "b". Simple fields are
+ * written as <w:fldSimple w:instr="code">result</w:fldSimple>.
+ *
+ * collectFields() walks a story part in document order, follows the fldChar
+ * state machine across runs and paragraphs and returns each field as a node:
+ *   {
+ *     instruction,          // full code; nested code fields shown as "{ ... }"
+ *     simple,               // true for w:fldSimple
+ *     closed,               // false when the end fldChar never arrived
+ *     nestedInCode,         // true when this field is part of a parent's code
+ *     children:[...],       // nested fields (in code or in result)
+ *     paragraph,            // 1-based index of the w:p where the field begins
+ *     anchor:{parent,node}, // begin run / fldSimple element and its container
+ *     resultNodes:[...]     // {parent,node}: text-bearing run children of the cached result
+ *   }
+ *
+ * parseFieldInstruction() splits a code into type, arguments and switches.
+ */
+
+import {childrenOf,nameOf,attrOf,textOf} from './snippet-mirror-xml.js';
+
+// Field types whose first argument names a property, variable, merge field or bookmark.
+const NAMED_FIELD_TYPES=new Set(['DOCPROPERTY','DOCVARIABLE','MERGEFIELD','REF','PAGEREF','NOTEREF','SET','ASK']);
+
+// General switches always take an argument; other switches only when it is quoted.
+const SWITCHES_WITH_ARGUMENT=new Set(['\\*','\\@','\\#']);
+
+// Run children that put text on the page.
+const RESULT_TEXT_ELEMENTS=new Set(['w:t','w:tab','w:br','w:cr','w:sym','w:noBreakHyphen','w:softHyphen']);
+
+function newField({simple,anchor,parentField,paragraph}) {
+  return {
+    instruction:'',
+    instrParts:[],
+    simple,
+    closed:simple,
+    nestedInCode:false,
+    children:[],
+    paragraph,
+    anchor,
+    resultNodes:[],
+    parentField:parentField || null,
+    phase:simple ? 'result' : 'code'
+  };
+}
+
+/**
+ * takeFieldInstructionString(field)
+ *
+ * Word splits field codes across many <w:instrText> elements; this joins a
+ * field's own pieces, renders nested code fields in braces and normalises
+ * whitespace:
+ *   "IF  " + {MERGEFIELD Foo} + " = \"x\"" -> 'IF { MERGEFIELD Foo } = "x"'
+ */
+export function takeFieldInstructionString(field) {
+  return field.instrParts
+    .map(part=>(typeof part === 'string' ? part : `{ ${takeFieldInstructionString(part)} }`))
+    .join('')
+    .replace(/\s+/g,' ')
+    .trim();
+}
+
+/**
+ * collectFields(xml)
+ *
+ * Returns {fields, all, stray}:
+ * - fields: fields that are visible in the text flow (not nested in another
+ *   field's code), in document order; these are what get sentinels
+ * - all:    every field including ones nested in code, in document order
+ * - stray:  separate / end fldChars with no open field, as {type,paragraph}
+ */
+export function collectFields(xml) {
+  const stack=[];
+  const all=[];
+  const stray=[];
+  let paragraph=0;
+
+  const top=()=>stack[stack.length-1];
+
+  const open=(field)=>{
+    const parent=top();
+    if (parent) {
+      parent.children.push(field);
+      if (parent.phase === 'code') {
+        field.nestedInCode=true;
+        parent.instrParts.push(field);
+      }
+    }
+    all.push(field);
+    stack.push(field);
+  };
+
+  const onRun=(run,container)=>{
+    childrenOf(run).forEach(child=>{
+      const name=nameOf(child);
+      if (name === 'w:fldChar') {
+        const type=attrOf(child,'w:fldCharType');
+        if (type === 'begin') {
+          open(newField({simple:false,anchor:{parent:container,node:run},parentField:top(),paragraph}));
+        } else if ((type === 'separate' || type === 'end') && !top()) {
+          stray.push({type,paragraph});
+        } else if (type === 'separate') {
+          top().phase='result';
+        } else if (type === 'end') {
+          const field=stack.pop();
+          field.closed=true;
+          field.phase='done';
+        }
+        return;
+      }
+      if (name === 'w:instrText' && top() && top().phase === 'code') {
+        top().instrParts.push(textOf(child));
+        return;
+      }
+      if (RESULT_TEXT_ELEMENTS.has(name) && top() && top().phase === 'result') {
+        top().resultNodes.push({parent:run,node:child});
+      }
+    });
+  };
+
+  const walk=(node)=>{
+    childrenOf(node).forEach(child=>{
+      const name=nameOf(child);
+      if (name === 'w:r') {
+        onRun(child,node);
+        return;
+      }
+      if (name === 'w:fldSimple') {
+        const field=newField({simple:true,anchor:{parent:node,node:child},parentField:top(),paragraph});
+        field.instrParts.push(attrOf(child,'w:instr') || '');
+        open(field);
+        walk(child);
+        // Anything still open inside a fldSimple is malformed; close the simple field regardless.
+        stack.splice(stack.indexOf(field),1);
+        return;
+      }
+      if (name === 'w:p') paragraph++;
+      walk(child);
+    });
+  };
+
+  Object.values(xml).forEach(root=>walk({$$:[root]}));
+
+  all.forEach(field=>{
+    field.instruction=takeFieldInstructionString(field);
+  });
+
+  return {fields:all.filter(f=>!f.nestedInCode),all,stray};
+}
+
+/**
+ * tokenizeFieldInstruction(instruction)
+ *
+ * Splits on whitespace, keeping "quoted strings" and { nested fields } whole.
+ * Quoted tokens are returned as {text,quoted:true} with the quotes removed.
+ */
+function tokenizeFieldInstruction(instruction) {
+  const tokens=[];
+  let i=0;
+  while (i < instruction.length) {
+    const ch=instruction[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === '"') {
+      const end=instruction.indexOf('"',i+1);
+      const stop=end === -1 ? instruction.length : end;
+      tokens.push({text:instruction.slice(i+1,stop),quoted:true});
+      i=stop+1;
+      continue;
+    }
+    if (ch === '{') {
+      let depth=0;
+      let j=i;
+      for (;j < instruction.length;j++) {
+        if (instruction[j] === '{') depth++;
+        if (instruction[j] === '}' && --depth === 0) break;
+      }
+      tokens.push({text:instruction.slice(i,j+1),quoted:false});
+      i=j+1;
+      continue;
+    }
+    let j=i;
+    while (j < instruction.length && !/[\s"]/.test(instruction[j])) j++;
+    tokens.push({text:instruction.slice(i,j),quoted:false});
+    i=j;
+  }
+  return tokens;
+}
+
+/**
+ * parseFieldInstruction(instruction)
+ *
+ *   'DOCPROPERTY "Client Name" \\* MERGEFORMAT'
+ *   -> {type:'DOCPROPERTY',name:'Client Name',args:['Client Name'],switches:[{switch:'\\*',value:'MERGEFORMAT'}]}
+ *
+ * name is only set for types that reference something by name (NAMED_FIELD_TYPES).
+ */
+export function parseFieldInstruction(instruction) {
+  const [first,...rest]=tokenizeFieldInstruction(instruction || '');
+  const type=first ? first.text.toUpperCase() : '';
+  const args=[];
+  const switches=[];
+
+  for (let i=0;i<rest.length;i++) {
+    const token=rest[i];
+    if (!token.quoted && token.text.startsWith('\\')) {
+      const next=rest[i+1];
+      const takesArgument=next && (next.quoted || SWITCHES_WITH_ARGUMENT.has(token.text)) && !(!next.quoted && next.text.startsWith('\\'));
+      switches.push(takesArgument ? {switch:token.text,value:next.text} : {switch:token.text});
+      if (takesArgument) i++;
+      continue;
+    }
+    args.push(token.text);
+  }
+
+  const name=NAMED_FIELD_TYPES.has(type) && args.length > 0 ? args[0] : null;
+  return {type,name,args,switches};
+}
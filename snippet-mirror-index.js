@@ -0,0 +1,145 @@
+/**
+ * scripts/snippet-mirror-index.js
+ *
+ * The overview page of a mirror tree: INDEX.md (plus index.html when HTML
+ * mirrors are generated) directly in each mirror root, listing every mirror by
+ * folder with its title, word count, field count and a relative link.
+ *
+ * Per-document numbers come from summarizeDocument(), computed while the mirror
+ * is rendered and kept in the manifest, so unchanged snippets don't need to be
+ * converted again just to rebuild the index. Like README.md, the index sits
+ * directly in the mirror root and is therefore never cleaned up as stale.
+ * In HTML site mode index.html is a site page too, and the same listing feeds
+ * the sidebar script (see snippet-mirror-site.js).
+ */
+
+import path from 'node:path';
+import {childrenOf,nameOf,attrOf,firstChild,textOf} from './snippet-mirror-xml.js';
+import {renderSitePage} from './snippet-mirror-site.js';
+
+export const INDEX_FILE_NAME='INDEX.md';
+export const INDEX_HTML_FILE_NAME='index.html';
+
+const GENERATED_NOTE='Generated by scripts/generate-all-snippet-mirrors.js. Do not edit.';
+
+function paragraphsOf(node) {
+  return childrenOf(node).flatMap(child=>(nameOf(child) === 'w:p' ? [child] : paragraphsOf(child)));
+}
+
+function paragraphText(paragraph) {
+  const texts=[];
+  const walk=node=>childrenOf(node).forEach(child=>{
+    if (nameOf(child) === 'w:t') texts.push(textOf(child));
+    else walk(child);
+  });
+  walk(paragraph);
+  return texts.join('');
+}
+
+function isHeading(paragraph) {
+  const pPr=firstChild(paragraph,'w:pPr');
+  if (!pPr) return false;
+  const style=firstChild(pPr,'w:pStyle');
+  return Boolean(firstChild(pPr,'w:outlineLvl')) || /^(heading|title)/i.test(style ? attrOf(style,'w:val') || '' : '');
+}
+
+/**
+ * summarizeDocument(documentXml,{properties})
+ *
+ * Takes word/document.xml as stored, before revisions are resolved or
+ * sentinels injected, so the numbers describe the accepted text whatever the
+ * revisions mode. Returns {title,words}: title is the first non-empty heading,
+ * else the core title property, else null; words counts the body text (field
+ * codes aren't text, field results are). The caller adds the field count.
+ */
+export function summarizeDocument(documentXml,{properties}) {
+  const paragraphs=paragraphsOf(Object.values(documentXml)[0]);
+  const heading=paragraphs.filter(isHeading).map(p=>paragraphText(p).trim()).find(Boolean);
+  const words=paragraphs.map(paragraphText).join(' ').split(/\s+/).filter(Boolean).length;
+
+  return {title:heading || properties.core.title || null,words};
+}
+
+function escapeMarkdownCell(text) {
+  return text.replace(/([\\`*_[\]<>|])/g,'\\$1');
+}
+
+function escapeHtmlText(text) {
+  return text
+    .replace(/&/g,'&amp;')
+    .replace(/</g,'&lt;')
+    .replace(/>/g,'&gt;')
+    .replace(/"/g,'&quot;');
+}
+
+function linkTo(rel) {
+  return rel.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * groupByFolder(items)
+ *
+ * items: [{rel,title,words,fields}] with rel relative to the mirror root.
+ * Returns [[folder,items]] sorted by folder, "" (the root itself) first.
+ */
+function groupByFolder(items) {
+  const groups=new Map();
+  [...items].sort((a,b)=>a.rel.localeCompare(b.rel)).forEach(item=>{
+    const folder=path.posix.dirname(item.rel) === '.' ? '' : path.posix.dirname(item.rel);
+    groups.set(folder,[...(groups.get(folder) || []),item]);
+  });
+  return [...groups.entries()].sort(([a],[b])=>a.localeCompare(b));
+}
+
+function folderLabel(folder,source) {
+  return folder ? `${source}/${folder}/` : `${source}/`;
+}
+
+function titleFor(item) {
+  return item.title || path.posix.basename(item.rel).replace(/\.[^.]+$/,'');
+}
+
+function totalsLine(items) {
+  const words=items.reduce((sum,item)=>sum+item.words,0);
+  const fields=items.reduce((sum,item)=>sum+item.fields,0);
+  return `${items.length} snippet(s), ${words} word(s), ${fields} field(s).`;
+}
+
+/**
+ * renderIndexMarkdown(items,{source})
+ */
+export function renderIndexMarkdown(items,{source}) {
+  const sections=groupByFolder(items).map(([folder,group])=>{
+    const rows=group.map(item=>`| [${escapeMarkdownCell(titleFor(item))}](${linkTo(item.rel)}) | ${item.words} | ${item.fields} |`);
+    return `## ${escapeMarkdownCell(folderLabel(folder,source))}\n\n| Snippet | Words | Fields |\n| --- | ---: | ---: |\n${rows.join('\n')}\n`;
+  });
+
+  return `# Snippet index\n\n<!-- ${GENERATED_NOTE} -->\n\n${totalsLine(items)}\n\n${sections.join('\n')}`;
+}
+
+/**
+ * renderIndexHtml(items,{source,site})
+ */
+export function renderIndexHtml(items,{source,site=false}) {
+  const sections=groupByFolder(items).map(([folder,group])=>{
+    const rows=group.map(item=>`<tr><td><a href="${linkTo(item.rel)}">${escapeHtmlText(titleFor(item))}</a></td><td>${item.words}</td><td>${item.fields}</td></tr>`);
+    return `<h2>${escapeHtmlText(folderLabel(folder,source))}</h2>\n<table>\n<thead><tr><th>Snippet</th><th>Words</th><th>Fields</th></tr></thead>\n<tbody>\n${rows.join('\n')}\n</tbody>\n</table>\n`;
+  });
+
+  if (site) {
+    return renderSitePage(`<!-- ${GENERATED_NOTE} -->\n<h1>Snippet index</h1>\n<p>${totalsLine(items)}</p>\n${sections.join('')}`,{title:'Snippet index',rel:'index.html'});
+  }
+  return `<!DOCTYPE html>\n<!-- ${GENERATED_NOTE} -->\n<html>\n<head>\n<meta charset="utf-8" />\n<title>Snippet index</title>\n</head>\n<body>\n<h1>Snippet index</h1>\n<p>${totalsLine(items)}</p>\n${sections.join('')}</body>\n</html>\n`;
+}
+
+/**
+ * siteNavGroups(items,{source})
+ *
+ * The sidebar tree for renderSiteNavScript(): [{label,items:[{rel,title}]}].
+ */
+export function siteNavGroups(items,{source}) {
+  return groupByFolder(items).map(([folder,group])=>({
+    label:folderLabel(folder,source),
+    items:group.map(item=>({rel:item.rel,title:titleFor(item)}))
+  }));
+}
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+/**
+ * scripts/snippet-mirror-lint.js
+ *
+ * Checks snippet .docx files for field and wording mistakes before they ship.
+ * Every story part (document, headers, footers, footnotes, endnotes) is read
+ * with tracked changes accepted, the same way the mirror sees it.
+ *
+ * Rules (default severity):
+ * - unknown-property  (error):   DOCPROPERTY names a property that is neither
+ *                                built in nor on the allowlist ("lint.properties";
+ *                                without one, the document's custom properties)
+ * - malformed-field   (error):   fields never closed, separate/end fldChars with
+ *                                no open field, unbalanced quotes in a field code
+ * - empty-field       (warning): fields with no code, DOCPROPERTY with no name
+ * - forbidden-literal (error):   "lint.forbidden" strings in the text outside
+ *                                fields (e.g. a client name that should be a property)
+ *
+ * Severities are error, warning or off: "lint.rules" in the config file (see
+ * snippet-mirror-config.js), overridden by rule=<name>:<severity>. Results
+ * carry the file, story part and 1-based paragraph. Exits non-zero when any
+ * error is reported.
+ *
+ * Usage (repo root):
+ *   node scripts/snippet-mirror-lint.js
+ *   node scripts/snippet-mirror-lint.js snippets/foo/bar.docx
+ *   node scripts/snippet-mirror-lint.js format=json
+ *   node scripts/snippet-mirror-lint.js rule=empty-field:off rule=forbidden-literal:warning
+ */
+
+import fs from 'node:fs';
+import JSZip from 'jszip';
+import {parseOrderedXml,nameOf,textOf} from './snippet-mirror-xml.js';
+import {collectFields,parseFieldInstruction} from './snippet-mirror-fields.js';
+import {applyRevisions} from './snippet-mirror-revisions.js';
+import {readDocumentProperties,BUILTIN_DOCPROPERTY_NAMES} from './snippet-mirror-properties.js';
+import {visitXml,STORY_PART_PATTERN} from './generate-snippet-mirror.js';
+import {listSourceDocxFiles} from './generate-all-snippet-mirrors.js';
+import {loadConfig} from './snippet-mirror-config.js';
+
+export const RULES={
+  'unknown-property':'error',
+  'malformed-field':'error',
+  'empty-field':'warning',
+  'forbidden-literal':'error'
+};
+
+const SEVERITIES=['error','warning','off'];
+
+const OUTPUT_FORMATS=['text','json'];
+
+// Arguments that are neither flags nor one of these are files (whose paths may contain "=").
+const OPTION_PREFIXES=['format=','config=','rule='];
+
+function parseCliArgs(argv) {
+  const initial={files:[],format:'text',configPath:null,rules:{}};
+
+  return argv.slice(2).reduce((acc,arg)=>{
+    if (!arg.startsWith('-') && !OPTION_PREFIXES.some(prefix=>arg.startsWith(prefix))) {
+      return {...acc,files:[...acc.files,arg]};
+    }
+    if (arg.startsWith('format=')) {
+      const format=arg.slice('format='.length).trim().toLowerCase();
+      return {...acc,format:format || acc.format};
+    }
+    if (arg.startsWith('config=')) {
+      const configPath=arg.slice('config='.length).trim();
+      return {...acc,configPath:configPath || acc.configPath};
+    }
+    if (arg.startsWith('rule=')) {
+      const [name,severity]=arg.slice('rule='.length).split(':').map(s=>s.trim());
+      return {...acc,rules:{...acc.rules,[name]:(severity || '').toLowerCase()}};
+    }
+    return acc;
+  },initial);
+}
+
+/**
+ * resolveSeverities(...overrides)
+ *
+ * Later objects win. Unknown rules or severities are an error, so a typo in
+ * the config can't silently disable a rule.
+ */
+export function resolveSeverities(...overrides) {
+  return overrides.reduce((acc,rules)=>{
+    Object.entries(rules || {}).forEach(([name,severity])=>{
+      if (!(name in RULES)) {
+        throw new Error(`Unknown lint rule "${name}". Expected one of: ${Object.keys(RULES).join(', ')}.`);
+      }
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Unknown severity "${severity}" for ${name}. Expected one of: ${SEVERITIES.join(', ')}.`);
+      }
+      acc[name]=severity;
+    });
+    return acc;
+  },{...RULES});
+}
+
+function storyPartOrder(a,b) {
+  if (a === 'word/document.xml') return -1;
+  if (b === 'word/document.xml') return 1;
+  return a.localeCompare(b);
+}
+
+function hasUnbalancedQuotes(instruction) {
+  return (instruction.match(/"/g) || []).length % 2 === 1;
+}
+
+/**
+ * editDistance(a,b)
+ *
+ * Plain Levenshtein distance, used to suggest the allowlisted name a typo was meant to be.
+ */
+function editDistance(a,b) {
+  let previous=Array.from({length:b.length+1},(_,j)=>j);
+  for (let i=1;i <= a.length;i++) {
+    const current=[i];
+    for (let j=1;j <= b.length;j++) {
+      current[j]=Math.min(previous[j]+1,current[j-1]+1,previous[j-1]+(a[i-1] === b[j-1] ? 0 : 1));
+    }
+    previous=current;
+  }
+  return previous[b.length];
+}
+
+function suggestionFor(name,known) {
+  const lower=name.toLowerCase();
+  const [best]=known
+    .map(candidate=>({candidate,distance:editDistance(lower,candidate.toLowerCase())}))
+    .filter(c=>c.distance <= 2)
+    .sort((a,b)=>a.distance-b.distance);
+  return best ? ` Did you mean "${best.candidate}"?` : '';
+}
+
+function checkFields({all,stray},{knownProperties}) {
+  const problems=[];
+  const report=(rule,paragraph,message)=>problems.push({rule,paragraph,message});
+
+  // Nested fields too: a DOCPROPERTY inside an IF is just as broken.
+  all.forEach(field=>{
+    const {instruction,paragraph}=field;
+    if (!field.closed) {
+      report('malformed-field',paragraph,`Field is never closed: "${instruction}".`);
+    }
+    if (!instruction) {
+      report('empty-field',paragraph,'Field has no field code.');
+      return;
+    }
+    if (hasUnbalancedQuotes(instruction)) {
+      report('malformed-field',paragraph,`Unbalanced quotes in field code: "${instruction}".`);
+    }
+
+    const {type,name}=parseFieldInstruction(instruction);
+    if (type !== 'DOCPROPERTY') return;
+    if (!name) {
+      report('empty-field',paragraph,`DOCPROPERTY has no property name: "${instruction}".`);
+      return;
+    }
+    if (!knownProperties.some(known=>known.toLowerCase() === name.toLowerCase())) {
+      report('unknown-property',paragraph,`Unknown property "${name}".${suggestionFor(name,knownProperties)}`);
+    }
+  });
+
+  stray.forEach(({type,paragraph})=>{
+    report('malformed-field',paragraph,`Field ${type} marker without a matching begin.`);
+  });
+
+  return problems;
+}
+
+/**
+ * paragraphTexts(xml,resultNodes)
+ *
+ * The visible text of each paragraph (1-based, numbered like collectFields),
+ * leaving out field results: a property's value showing there is not a literal.
+ */
+function paragraphTexts(xml,resultNodes) {
+  const skip=new Set(resultNodes);
+  const texts=[''];
+  visitXml(xml,node=>{
+    const name=nameOf(node);
+    if (name === 'w:p') texts.push('');
+    else if (name === 'w:t' && !skip.has(node)) texts[texts.length-1]+=textOf(node);
+  });
+  return texts;
+}
+
+function checkLiterals(xml,all,{forbidden}) {
+  if (forbidden.length === 0) return [];
+
+  const texts=paragraphTexts(xml,all.flatMap(field=>field.resultNodes.map(r=>r.node)));
+  return texts.flatMap((text,paragraph)=>forbidden
+    .filter(literal=>text.includes(literal))
+    .map(literal=>({rule:'forbidden-literal',paragraph,message:`Forbidden literal "${literal}"; use a field instead.`})));
+}
+
+/**
+ * lintSnippet(docxPath,{config,severities,docxBuffer})
+ *
+ * Returns [{file,part,paragraph,rule,severity,message}] for rules that aren't
+ * off, in part order (document first) then paragraph order.
+ */
+export async function lintSnippet(docxPath,{config=loadConfig(),severities=resolveSeverities(config.lint.rules),docxBuffer}={}) {
+  const zip=await JSZip.loadAsync(docxBuffer || fs.readFileSync(docxPath));
+  if (!zip.file('word/document.xml')) {
+    throw new Error('Could not find word/document.xml inside docx.');
+  }
+
+  const properties=await readDocumentProperties(zip);
+  // Project names first, so they win suggestion ties against built-in ones.
+  const knownProperties=[
+    ...(config.lint.properties || Object.keys(properties.custom)),
+    ...BUILTIN_DOCPROPERTY_NAMES
+  ];
+
+  const parts=zip.file(/^word\/document\.xml$/).concat(zip.file(STORY_PART_PATTERN))
+    .map(entry=>entry.name)
+    .sort(storyPartOrder);
+
+  const results=[];
+  for (const part of parts) {
+    const xml=applyRevisions(await parseOrderedXml(await zip.file(part).async('string')),'accept');
+    const collected=collectFields(xml);
+
+    [
+      ...checkFields(collected,{knownProperties}),
+      ...checkLiterals(xml,collected.all,config.lint)
+    ]
+      .filter(problem=>severities[problem.rule] !== 'off')
+      .sort((a,b)=>a.paragraph-b.paragraph)
+      .forEach(problem=>{
+        results.push({file:docxPath.replace(/\\/g,'/'),part,paragraph:problem.paragraph,rule:problem.rule,severity:severities[problem.rule],message:problem.message});
+      });
+  }
+  return results;
+}
+
+function printText(results,{files,failures}) {
+  results.forEach(r=>{
+    console.log(`${r.file}:${r.part}:${r.paragraph}  ${r.severity}  ${r.message}  (${r.rule})`);
+  });
+  failures.forEach(f=>{
+    console.error(`${f.file}: could not lint: ${f.error}`);
+  });
+
+  const errors=results.filter(r=>r.severity === 'error').length;
+  const warnings=results.filter(r=>r.severity === 'warning').length;
+  console.log(`Linted ${files.length} .docx file(s): ${errors} error(s), ${warnings} warning(s), ${failures.length} failed.`);
+}
+
+async function main() {
+  const args=parseCliArgs(process.argv);
+  if (!OUTPUT_FORMATS.includes(args.format)) {
+    throw new Error(`Unknown format "${args.format}". Expected one of: ${OUTPUT_FORMATS.join(', ')}.`);
+  }
+
+  const config=loadConfig({configPath:args.configPath});
+  const severities=resolveSeverities(config.lint.rules,args.rules);
+  const files=args.files.length > 0 ? args.files : listSourceDocxFiles(config);
+
+  const results=[];
+  const failures=[];
+  for (const file of files) {
+    try {
+      results.push(...await lintSnippet(file,{config,severities}));
+    } catch (err) {
+      failures.push({file,error:err?.message || String(err)});
+    }
+  }
+
+  if (args.format === 'json') {
+    console.log(JSON.stringify({files:files.length,results,failures},null,2));
+  } else {
+    printText(results,{files,failures});
+  }
+
+  if (failures.length > 0 || results.some(r=>r.severity === 'error')) {
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(err=>{
+    console.error(err?.stack || String(err));
+    process.exit(1);
+  });
+}
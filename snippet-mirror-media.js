@@ -0,0 +1,90 @@
+/**
+ * scripts/snippet-mirror-media.js
+ *
+ * Embedded images (word/media/*) for the mirror.
+ *
+ * Before rendering, every referenced media part is renamed inside the package
+ * to its content hash and the relationship targets are updated, so both
+ * engines emit links like "media/3f2a9c0b1d4e5f60.png". Post-processing points
+ * those links at the mirror's assets folder, where the files are written under
+ * the same names: an image that didn't change keeps its name and its bytes, so
+ * it produces no diff.
+ */
+
+import path from 'node:path';
+import crypto from 'node:crypto';
+import {parseOrderedXml,buildOrderedXml,childrenOf,nameOf,attrOf} from './snippet-mirror-xml.js';
+
+const MEDIA_PART_PATTERN=/^word\/media\/[^/]+$/;
+const RELS_PART_PATTERN=/^word\/_rels\/[^/]+\.rels$/;
+const MEDIA_HASH_LENGTH=16;
+
+function mediaFileNameFor(partName,data) {
+  const hash=crypto.createHash('sha256').update(data).digest('hex').slice(0,MEDIA_HASH_LENGTH);
+  return `${hash}${path.posix.extname(partName).toLowerCase()}`;
+}
+
+/**
+ * resolveRelationshipTarget(relsPartName,target)
+ *
+ * Targets in word/_rels/*.rels are relative to word/ unless they start with "/".
+ */
+function resolveRelationshipTarget(relsPartName,target) {
+  if (target.startsWith('/')) return target.slice(1);
+  const baseDir=path.posix.dirname(path.posix.dirname(relsPartName));
+  return path.posix.normalize(path.posix.join(baseDir,target));
+}
+
+/**
+ * hashMediaParts(zip)
+ *
+ * Renames referenced word/media/* parts to "<hash><ext>" in place and rewrites
+ * the relationships pointing at them. External (linked) images are left alone.
+ * Returns [{fileName,data}] sorted by file name, one entry per distinct image.
+ */
+export async function hashMediaParts(zip) {
+  const renames={};
+  const media=new Map();
+
+  for (const entry of zip.file(MEDIA_PART_PATTERN)) {
+    const data=await entry.async('nodebuffer');
+    renames[entry.name]={fileName:mediaFileNameFor(entry.name,data),data};
+  }
+  if (Object.keys(renames).length === 0) return [];
+
+  for (const relsEntry of zip.file(RELS_PART_PATTERN)) {
+    const xml=await parseOrderedXml(await relsEntry.async('string'));
+    let changed=false;
+
+    childrenOf(xml.Relationships)
+      .filter(rel=>nameOf(rel) === 'Relationship' && attrOf(rel,'TargetMode') !== 'External')
+      .forEach(rel=>{
+        const renamed=renames[resolveRelationshipTarget(relsEntry.name,attrOf(rel,'Target') || '')];
+        if (!renamed) return;
+        rel.$.Target=`media/${renamed.fileName}`;
+        media.set(renamed.fileName,renamed.data);
+        changed=true;
+      });
+
+    if (changed) zip.file(relsEntry.name,buildOrderedXml(xml));
+  }
+
+  Object.entries(renames).forEach(([partName,{fileName,data}])=>{
+    zip.remove(partName);
+    zip.file(`word/media/${fileName}`,data);
+  });
+
+  return [...media.entries()]
+    .sort(([a],[b])=>a.localeCompare(b))
+    .map(([fileName,data])=>({fileName,data}));
+}
+
+/**
+ * rewriteMediaLinks(output,media,assetsDirName)
+ *
+ * "media/<hash>.png" -> "<assetsDirName>/<hash>.png" (relative to the mirror).
+ */
+export function rewriteMediaLinks(output,media,assetsDirName) {
+  const prefix=encodeURIComponent(assetsDirName);
+  return media.reduce((out,{fileName})=>out.split(`media/${fileName}`).join(`${prefix}/${fileName}`),output);
+}
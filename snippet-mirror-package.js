@@ -0,0 +1,232 @@
+/**
+ * scripts/snippet-mirror-package.js
+ *
+ * WordprocessingML package types other than .docx.
+ *
+ * Word templates (.dotx) and macro-enabled files (.docm / .dotm) hold the same
+ * word/document.xml as a .docx; only the main part's content type (and, for
+ * the macro-enabled ones, word/vbaProject.bin) differ. All four are accepted as
+ * snippet sources and mirror to the same name (snippets/a.dotx ->
+ * snippets-mirror/a.md), so two sources that differ only in extension collide.
+ *
+ * - toDocumentPackage() gives the package the .docx main content type, which is
+ *   what pandoc's docx reader expects
+ * - listVbaModules() reads the module names from the VBA project (a compound
+ *   file, see readCompoundFileStream()) so the mirror can list them
+ *   ("vbaModules" setting / --vba-modules; the code itself is not shown)
+ */
+
+import path from 'node:path';
+import {parseOrderedXml,buildOrderedXml,childrenOf,nameOf,attrOf} from './snippet-mirror-xml.js';
+
+export const SOURCE_EXTENSIONS=['.docx','.dotx','.docm','.dotm'];
+
+const SOURCE_EXTENSION_PATTERN=new RegExp(`(${SOURCE_EXTENSIONS.map(ext=>`\\${ext}`).join('|')})$`,'i');
+
+const DOCUMENT_MAIN_CONTENT_TYPE='application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml';
+
+// Main content types of the other package types (template, macro-enabled document, macro-enabled template).
+const CONVERTIBLE_MAIN_CONTENT_TYPES=new Set([
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.template.main+xml',
+  'application/vnd.ms-word.document.macroEnabled.main+xml',
+  'application/vnd.ms-word.template.macroEnabledTemplate.main+xml'
+]);
+
+const VBA_PROJECT_RELATIONSHIP='http://schemas.microsoft.com/office/2006/relationships/vbaProject';
+
+/**
+ * isWordSource(filePath)
+ *
+ * True for .docx, .dotx, .docm and .dotm (any case).
+ */
+export function isWordSource(filePath) {
+  return SOURCE_EXTENSION_PATTERN.test(filePath);
+}
+
+/**
+ * replaceSourceExtension(filePath,ext)
+ */
+export function replaceSourceExtension(filePath,ext) {
+  return filePath.replace(SOURCE_EXTENSION_PATTERN,ext);
+}
+
+/**
+ * toDocumentPackage(zip)
+ *
+ * Rewrites [Content_Types].xml in place so a template or macro-enabled package
+ * declares word/document.xml as a plain document. Returns true when something
+ * changed. The VBA project stays in the package; pandoc ignores it.
+ */
+export async function toDocumentPackage(zip) {
+  const entry=zip.file('[Content_Types].xml');
+  if (!entry) return false;
+
+  const xml=await parseOrderedXml(await entry.async('string'));
+  const overrides=childrenOf(xml.Types).filter(c=>nameOf(c) === 'Override' && CONVERTIBLE_MAIN_CONTENT_TYPES.has(attrOf(c,'ContentType')));
+  if (overrides.length === 0) return false;
+
+  overrides.forEach(override=>{
+    override.$.ContentType=DOCUMENT_MAIN_CONTENT_TYPE;
+  });
+  zip.file('[Content_Types].xml',buildOrderedXml(xml));
+  return true;
+}
+
+/**
+ * Compound File Binary reader
+ *
+ * Just enough of [MS-CFB] to read one stream by name: header, FAT (through the
+ * DIFAT), directory, and the mini stream for streams under the cutoff size.
+ */
+const CFB_SIGNATURE='d0cf11e0a1b11ae1';
+const END_OF_CHAIN=0xfffffffe;
+const FREE_SECTOR=0xffffffff;
+const NO_STREAM=0xffffffff;
+
+function readChain(start,table,{maxLength}) {
+  const chain=[];
+  for (let sector=start;sector !== END_OF_CHAIN && sector !== FREE_SECTOR;sector=table[sector]) {
+    if (sector >= table.length || chain.length > maxLength) {
+      throw new Error('Corrupt compound file (broken sector chain).');
+    }
+    chain.push(sector);
+  }
+  return chain;
+}
+
+/**
+ * readCompoundFileStream(buffer,streamName)
+ *
+ * The bytes of the first stream called streamName (case-insensitive), or null.
+ */
+export function readCompoundFileStream(buffer,streamName) {
+  if (buffer.length < 512 || buffer.subarray(0,8).toString('hex') !== CFB_SIGNATURE) {
+    throw new Error('Not a compound file.');
+  }
+
+  const sectorSize=1 << buffer.readUInt16LE(0x1e);
+  const miniSectorSize=1 << buffer.readUInt16LE(0x20);
+  const miniStreamCutoff=buffer.readUInt32LE(0x38);
+  const sectorCount=Math.floor((buffer.length-sectorSize)/sectorSize);
+  const sectorAt=id=>{
+    if (id >= sectorCount) throw new Error('Corrupt compound file (sector out of range).');
+    return buffer.subarray((id+1)*sectorSize,(id+2)*sectorSize);
+  };
+  const entriesPerSector=sectorSize/4;
+
+  // DIFAT: 109 entries in the header, then a chain of DIFAT sectors.
+  const fatSectors=[];
+  for (let i=0;i < 109;i++) fatSectors.push(buffer.readUInt32LE(0x4c+i*4));
+  for (let difat=buffer.readUInt32LE(0x44),n=0;difat !== END_OF_CHAIN && difat !== FREE_SECTOR && n < sectorCount;n++) {
+    const sector=sectorAt(difat);
+    for (let i=0;i < entriesPerSector-1;i++) fatSectors.push(sector.readUInt32LE(i*4));
+    difat=sector.readUInt32LE((entriesPerSector-1)*4);
+  }
+
+  const fat=fatSectors.filter(id=>id !== FREE_SECTOR).flatMap(id=>{
+    const sector=sectorAt(id);
+    return Array.from({length:entriesPerSector},(v,i)=>sector.readUInt32LE(i*4));
+  });
+  const readRegular=start=>Buffer.concat(readChain(start,fat,{maxLength:sectorCount}).map(sectorAt));
+
+  const directory=readRegular(buffer.readUInt32LE(0x30));
+  const entries=Array.from({length:Math.floor(directory.length/128)},(v,i)=>{
+    const raw=directory.subarray(i*128,(i+1)*128);
+    const nameLength=Math.min(64,raw.readUInt16LE(0x40));
+    return {
+      name:raw.subarray(0,Math.max(0,nameLength-2)).toString('utf16le'),
+      type:raw.readUInt8(0x42),
+      start:raw.readUInt32LE(0x74),
+      size:raw.readUInt32LE(0x78)
+    };
+  });
+
+  const stream=entries.find(e=>e.type === 2 && e.name.toLowerCase() === streamName.toLowerCase());
+  if (!stream) return null;
+  if (stream.size === 0 || stream.start === NO_STREAM) return Buffer.alloc(0);
+
+  if (stream.size >= miniStreamCutoff) {
+    return readRegular(stream.start).subarray(0,stream.size);
+  }
+
+  // Small streams live in the mini stream (the root entry's data), indexed by the mini FAT.
+  const miniStream=readRegular(entries[0].start);
+  const miniFatData=readRegular(buffer.readUInt32LE(0x3c));
+  const miniFat=Array.from({length:miniFatData.length/4},(v,i)=>miniFatData.readUInt32LE(i*4));
+  const miniSectorCount=Math.floor(miniStream.length/miniSectorSize);
+  return Buffer.concat(readChain(stream.start,miniFat,{maxLength:miniSectorCount}).map(id=>{
+    if (id >= miniSectorCount) throw new Error('Corrupt compound file (mini sector out of range).');
+    return miniStream.subarray(id*miniSectorSize,(id+1)*miniSectorSize);
+  })).subarray(0,stream.size);
+}
+
+/**
+ * parseVbaProjectStream(text)
+ *
+ * Module entries of the PROJECT stream ([MS-OVBA] 2.3.1), in project order:
+ * Module=, Class=, Document=<name>/&H..., BaseClass= (user forms).
+ */
+function parseVbaProjectStream(text) {
+  const kinds={module:'module',class:'class',document:'document',baseclass:'form'};
+  const modules=[];
+  for (const line of text.split(/\r?\n/)) {
+    // Host extender and workspace sections follow the module list.
+    if (line.startsWith('[')) break;
+    const match=/^(Module|Class|Document|BaseClass)=(.+)$/i.exec(line);
+    if (!match) continue;
+    const name=match[1].toLowerCase() === 'document' ? match[2].replace(/\/&H[0-9A-F]+$/i,'') : match[2];
+    modules.push({name:name.trim(),kind:kinds[match[1].toLowerCase()]});
+  }
+  return modules;
+}
+
+async function vbaProjectPartName(zip) {
+  const entry=zip.file('word/_rels/document.xml.rels');
+  if (!entry) return null;
+  const xml=await parseOrderedXml(await entry.async('string'));
+  const rel=childrenOf(xml.Relationships).find(c=>nameOf(c) === 'Relationship' && attrOf(c,'Type') === VBA_PROJECT_RELATIONSHIP);
+  if (!rel) return null;
+  const target=attrOf(rel,'Target');
+  return target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join('word',target));
+}
+
+/**
+ * listVbaModules(zip)
+ *
+ * Resolves with [{name,kind}] (kind: module, class, document or form) for the
+ * package's VBA project, or [] when it has none.
+ */
+export async function listVbaModules(zip) {
+  const partName=await vbaProjectPartName(zip);
+  const entry=partName ? zip.file(partName) : null;
+  if (!entry) return [];
+
+  try {
+    const project=readCompoundFileStream(await entry.async('nodebuffer'),'PROJECT');
+    // The PROJECT stream is in the project's code page; module names are almost always ASCII.
+    return project ? parseVbaProjectStream(project.toString('latin1')) : [];
+  } catch (err) {
+    throw new Error(`Could not read the VBA project (${partName}): ${err?.message || String(err)}`);
+  }
+}
+
+function escapeHtmlText(text) {
+  return text.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+}
+
+/**
+ * renderVbaModulesSection(modules,{html})
+ *
+ * Delimited like the comments section (see snippet-mirror-revisions.js).
+ */
+export function renderVbaModulesSection(modules,{html}) {
+  if (modules.length === 0) return '';
+
+  if (html) {
+    const items=modules.map(m=>`<li><code>${escapeHtmlText(m.name)}</code> (${m.kind})</li>`);
+    return `<section class="snippet-vba-modules">\n<p class="snippet-story-title">vba modules</p>\n<ul>\n${items.join('\n')}\n</ul>\n</section>\n`;
+  }
+
+  const items=modules.map(m=>`- \`${m.name.replace(/`/g,'')}\` (${m.kind})`);
+  return `---- vba modules ----\n\n${items.join('\n')}\n\n---- end vba modules ----\n`;
+}
@@ -0,0 +1,159 @@
+/**
+ * scripts/snippet-mirror-properties.js
+ *
+ * Document properties (docProps/core.xml and docProps/custom.xml).
+ *
+ * Mirrors show them up front:
+ * - Markdown: YAML front matter (core properties at the top level, custom ones
+ *   under "custom")
+ * - HTML:     <meta name="..." content="..."> tags ("custom:<name>" for custom ones)
+ * - JSON:     meta "snippet-properties" (see snippet-mirror-ast.js)
+ *
+ * They also let DOCPROPERTY fields be resolved (fields=<code|value|both>):
+ * - code:  the field code sentinel followed by Word's cached result (default)
+ * - value: the property's current value in place of both
+ * - both:  the field code sentinel followed by the property's current value
+ * Fields naming a property the document doesn't have stay as in code mode.
+ */
+
+import {parseOrderedXml,childrenOf,nameOf,attrOf,textOf} from './snippet-mirror-xml.js';
+
+export const FIELD_MODES=['code','value','both'];
+
+// [element in core.xml, front matter key, name DOCPROPERTY uses for it]
+const CORE_PROPERTIES=[
+  ['dc:title','title','Title'],
+  ['dc:subject','subject','Subject'],
+  ['dc:creator','creator','Author'],
+  ['cp:keywords','keywords','Keywords'],
+  ['dc:description','description','Comments'],
+  ['cp:category','category','Category'],
+  ['cp:contentStatus','contentStatus',null],
+  ['dc:language','language',null],
+  ['cp:lastModifiedBy','lastModifiedBy','LastSavedBy'],
+  ['cp:revision','revision','RevisionNumber'],
+  ['dcterms:created','created','CreateTime'],
+  ['dcterms:modified','modified','LastSavedTime'],
+  ['cp:lastPrinted','lastPrinted','LastPrinted']
+];
+
+// Built-in names DOCPROPERTY accepts that come from docProps/app.xml instead.
+const APP_PROPERTY_NAMES=[
+  'Bytes','Characters','CharactersWithSpaces','Company','HiddenSlides','HyperlinkBase','Lines',
+  'LinksUpToDate','Manager','MMClips','NameofApplication','Notes','Pages','Paragraphs','ScaleCrop',
+  'Security','Slides','Template','TotalEditingTime','Words'
+];
+
+export const BUILTIN_DOCPROPERTY_NAMES=[
+  ...CORE_PROPERTIES.map(([,,alias])=>alias).filter(Boolean),
+  ...APP_PROPERTY_NAMES
+];
+
+export function normalizeFieldsMode(fields) {
+  const f=(fields || 'code').toLowerCase();
+  if (!FIELD_MODES.includes(f)) {
+    throw new Error(`Unknown fields mode "${fields}". Expected one of: ${FIELD_MODES.join(', ')}.`);
+  }
+  return f;
+}
+
+async function readPartXml(zip,partName) {
+  const entry=zip.file(partName);
+  return entry ? parseOrderedXml(await entry.async('string')) : null;
+}
+
+/**
+ * readDocumentProperties(zip)
+ *
+ * Returns {core:{title,creator,...}, custom:{name:value}} with string values,
+ * core keys in CORE_PROPERTIES order and custom ones in document order.
+ * Empty values are left out.
+ */
+export async function readDocumentProperties(zip) {
+  const core={};
+  const coreXml=await readPartXml(zip,'docProps/core.xml');
+  if (coreXml) {
+    const elements=childrenOf(Object.values(coreXml)[0]);
+    CORE_PROPERTIES.forEach(([element,key])=>{
+      const node=elements.find(c=>nameOf(c) === element);
+      const value=node ? textOf(node).trim() : '';
+      if (value) core[key]=value;
+    });
+  }
+
+  const custom={};
+  const customXml=await readPartXml(zip,'docProps/custom.xml');
+  if (customXml) {
+    childrenOf(Object.values(customXml)[0])
+      .filter(c=>nameOf(c) === 'property' && attrOf(c,'name'))
+      .forEach(property=>{
+        // One typed value child: vt:lpwstr, vt:i4, vt:bool, vt:filetime, ...
+        const [valueNode]=childrenOf(property).filter(c=>nameOf(c).startsWith('vt:'));
+        custom[attrOf(property,'name')]=valueNode ? textOf(valueNode) : '';
+      });
+  }
+
+  return {core,custom};
+}
+
+export function hasDocumentProperties(properties) {
+  return Object.keys(properties.core).length > 0 || Object.keys(properties.custom).length > 0;
+}
+
+/**
+ * resolveDocProperty(properties,name)
+ *
+ * Looks a DOCPROPERTY name up the way Word does, case-insensitively: built-in
+ * names (Title, Author, ...) first, then custom properties. null when missing.
+ */
+export function resolveDocProperty(properties,name) {
+  const wanted=String(name).toLowerCase();
+  const builtin=CORE_PROPERTIES.find(([,,alias])=>alias && alias.toLowerCase() === wanted);
+  if (builtin && properties.core[builtin[1]] !== undefined) return properties.core[builtin[1]];
+
+  const customName=Object.keys(properties.custom).find(k=>k.toLowerCase() === wanted);
+  return customName === undefined ? null : properties.custom[customName];
+}
+
+function yamlKey(key) {
+  return /^[A-Za-z_][\w.-]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * renderFrontMatter(properties)
+ *
+ * Values are double-quoted (JSON strings are valid YAML), so no value can
+ * break the block.
+ */
+export function renderFrontMatter(properties) {
+  if (!hasDocumentProperties(properties)) return '';
+
+  const lines=Object.entries(properties.core).map(([k,v])=>`${yamlKey(k)}: ${JSON.stringify(v)}`);
+  const custom=Object.entries(properties.custom);
+  if (custom.length > 0) {
+    lines.push('custom:',...custom.map(([k,v])=>`  ${yamlKey(k)}: ${JSON.stringify(v)}`));
+  }
+  return `---\n${lines.join('\n')}\n---\n\n`;
+}
+
+function escapeHtmlAttr(text) {
+  return text
+    .replace(/&/g,'&amp;')
+    .replace(/</g,'&lt;')
+    .replace(/>/g,'&gt;')
+    .replace(/"/g,'&quot;')
+    .replace(/\r?\n/g,'&#10;');
+}
+
+/**
+ * renderMetaTags(properties)
+ */
+export function renderMetaTags(properties) {
+  if (!hasDocumentProperties(properties)) return '';
+
+  const tags=[
+    ...Object.entries(properties.core),
+    ...Object.entries(properties.custom).map(([k,v])=>[`custom:${k}`,v])
+  ].map(([name,value])=>`<meta name="${escapeHtmlAttr(name)}" content="${escapeHtmlAttr(value)}" />`);
+  return `${tags.join('\n')}\n\n`;
+}
@@ -0,0 +1,92 @@
+/**
+ * scripts/snippet-mirror-provenance.js
+ *
+ * Provenance header for generated mirrors, so hand edits can be detected.
+ *
+ * Markdown and HTML mirrors carry one HTML comment line:
+ *   <!-- snippet-mirror source="snippets/foo/bar.docx" source-sha256="..." output-sha256="..." generator="1.0.0" -->
+ * It is the first line, except in Markdown with YAML front matter and in
+ * standalone HTML pages, where it follows the front matter / the doctype
+ * (which have to stay first). output-sha256 is the hash
+ * of the mirror without the header line, so any later edit to the body shows up.
+ * JSON mirrors have nowhere to put a comment and carry no header.
+ *
+ * verifyMirrorFile() checks one mirror against its header without converting
+ * anything (`generate-all-snippet-mirrors.js --verify` runs it over the tree).
+ */
+
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+
+// Only where addProvenanceHeader() puts it: first, or right after front matter / the doctype.
+const LEAD_PATTERN=/^(?:---\n[\s\S]*?\n---\n|<!DOCTYPE html>\n)/i;
+const HEADER_PATTERN=/^<!-- snippet-mirror source="([^"]*)" source-sha256="([0-9a-f]+)" output-sha256="([0-9a-f]+)" generator="([^"]*)" -->\n/;
+
+export function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function escapeAttr(text) {
+  return text.replace(/&/g,'&amp;').replace(/"/g,'&quot;').replace(/--/g,'-&#45;');
+}
+
+function unescapeAttr(text) {
+  return text.replace(/&#45;/g,'-').replace(/&quot;/g,'"').replace(/&amp;/g,'&');
+}
+
+/**
+ * addProvenanceHeader(content,{source,sourceHash,generator})
+ */
+export function addProvenanceHeader(content,{source,sourceHash,generator}) {
+  const header=`<!-- snippet-mirror source="${escapeAttr(source)}" source-sha256="${sourceHash}" output-sha256="${sha256(content)}" generator="${escapeAttr(generator)}" -->\n`;
+  const lead=content.match(LEAD_PATTERN);
+  if (!lead) return `${header}${content}`;
+  return `${lead[0]}${header}${content.slice(lead[0].length)}`;
+}
+
+/**
+ * readProvenanceHeader(content)
+ *
+ * Returns {source,sourceHash,outputHash,generator,body} (body: the content
+ * without the header line) or null when there is no header.
+ */
+export function readProvenanceHeader(content) {
+  const match=content.match(HEADER_PATTERN);
+  if (match) return headerFields(match,'',content.slice(match[0].length));
+
+  const lead=content.match(LEAD_PATTERN);
+  const afterLead=lead ? content.slice(lead[0].length).match(HEADER_PATTERN) : null;
+  if (!afterLead) return null;
+  return headerFields(afterLead,lead[0],content.slice(lead[0].length+afterLead[0].length));
+}
+
+function headerFields([,source,sourceHash,outputHash,generator],lead,rest) {
+  return {
+    source:unescapeAttr(source),
+    sourceHash,
+    outputHash,
+    generator:unescapeAttr(generator),
+    body:`${lead}${rest}`
+  };
+}
+
+/**
+ * verifyMirrorFile(mirrorPath)
+ *
+ * Returns {path,status,source,generator} with status:
+ * - ok:             body and source both match the header
+ * - edited:         the body no longer hashes to output-sha256 (hand-edited)
+ * - source-changed: the .docx no longer hashes to source-sha256 (mirror is stale)
+ * - source-missing: the .docx named in the header doesn't exist
+ * - no-header:      no provenance header at all
+ * edited wins over the source checks: regenerating would throw the edit away.
+ */
+export function verifyMirrorFile(mirrorPath) {
+  const header=readProvenanceHeader(fs.readFileSync(mirrorPath,'utf8'));
+  const result={path:mirrorPath.replace(/\\/g,'/'),source:header ? header.source : null,generator:header ? header.generator : null};
+  if (!header) return {...result,status:'no-header'};
+  if (sha256(header.body) !== header.outputHash) return {...result,status:'edited'};
+  if (!fs.existsSync(header.source)) return {...result,status:'source-missing'};
+  if (sha256(fs.readFileSync(header.source)) !== header.sourceHash) return {...result,status:'source-changed'};
+  return {...result,status:'ok'};
+}
@@ -0,0 +1,241 @@
+/**
+ * scripts/snippet-mirror-revisions.js
+ *
+ * Tracked changes and review comments for order-preserving xml2js trees
+ * (see snippet-mirror-xml.js).
+ *
+ * revisions=<accept|reject|show>:
+ * - accept: drop deletions, keep insertions (what the document looks like once accepted)
+ * - reject: drop insertions, restore deletions
+ * - show:   keep both, bracketed by marker runs that post-processing turns into
+ *           {++ ++} / {-- --} (Markdown) or <ins> / <del> (HTML)
+ *
+ * Revisions are resolved in the XML before sentinel injection, so pandoc (whose
+ * own --track-changes handling would otherwise apply) only ever sees plain runs.
+ *
+ * Comments (word/comments.xml) are listed after the body in show mode with their
+ * author, date and the text their range anchors in word/document.xml.
+ */
+
+import {childrenOf,nameOf,attrOf,textOf,elementNode,textNode} from './snippet-mirror-xml.js';
+
+export const REVISION_MODES=['accept','reject','show'];
+
+export const INSERTION_PRE='==++';
+export const INSERTION_POST='++==';
+export const DELETION_PRE='==--';
+export const DELETION_POST='--==';
+
+const INSERTION_ELEMENTS=new Set(['w:ins','w:moveTo']);
+const DELETION_ELEMENTS=new Set(['w:del','w:moveFrom']);
+
+// Formatting-change records; the current formatting is kept in every mode.
+const PROPERTY_CHANGE_ELEMENTS=new Set([
+  'w:rPrChange','w:pPrChange','w:sectPrChange','w:tblPrChange','w:trPrChange','w:tcPrChange','w:numberingChange',
+  'w:moveFromRangeStart','w:moveFromRangeEnd','w:moveToRangeStart','w:moveToRangeEnd'
+]);
+
+export function normalizeRevisions(revisions) {
+  const r=(revisions || 'accept').toLowerCase();
+  if (!REVISION_MODES.includes(r)) {
+    throw new Error(`Unknown revisions mode "${revisions}". Expected one of: ${REVISION_MODES.join(', ')}.`);
+  }
+  return r;
+}
+
+function markerRun(text) {
+  return elementNode('w:r',null,[elementNode('w:t',{'xml:space':'preserve'},[textNode(text)])]);
+}
+
+function hasElementChildren(node) {
+  return childrenOf(node).some(c=>nameOf(c) !== '__text__');
+}
+
+/**
+ * restoreDeletedText(node)
+ *
+ * Deleted runs store their text in w:delText / w:delInstrText; rename them so
+ * the content renders (and deleted fields still parse) once unwrapped.
+ */
+function restoreDeletedText(node) {
+  if (nameOf(node) === 'w:delText') node['#name']='w:t';
+  if (nameOf(node) === 'w:delInstrText') node['#name']='w:instrText';
+  childrenOf(node).forEach(restoreDeletedText);
+  return node;
+}
+
+function transformChildren(children,mode) {
+  return children.flatMap(child=>{
+    const name=nameOf(child);
+
+    if (PROPERTY_CHANGE_ELEMENTS.has(name)) return [];
+
+    // Empty w:ins / w:del mark inserted/deleted paragraph marks or table rows; drop the mark only.
+    if ((INSERTION_ELEMENTS.has(name) || DELETION_ELEMENTS.has(name)) && !hasElementChildren(child)) return [];
+
+    if (INSERTION_ELEMENTS.has(name)) {
+      if (mode === 'reject') return [];
+      const inner=transformChildren(childrenOf(child),mode);
+      return mode === 'show' ? [markerRun(INSERTION_PRE),...inner,markerRun(INSERTION_POST)] : inner;
+    }
+
+    if (DELETION_ELEMENTS.has(name)) {
+      if (mode === 'accept') return [];
+      const inner=transformChildren(childrenOf(child).map(restoreDeletedText),mode);
+      return mode === 'show' ? [markerRun(DELETION_PRE),...inner,markerRun(DELETION_POST)] : inner;
+    }
+
+    if (Array.isArray(child.$$)) {
+      child.$$=transformChildren(child.$$,mode);
+    }
+    return [child];
+  });
+}
+
+/**
+ * applyRevisions(xml,mode)
+ *
+ * Resolves tracked changes in place for any story part tree.
+ */
+export function applyRevisions(xml,mode) {
+  Object.values(xml).forEach(root=>{
+    root.$$=transformChildren(childrenOf(root),mode);
+  });
+  return xml;
+}
+
+/**
+ * collectComments(documentXml,commentsXml)
+ *
+ * Returns [{id,author,date,anchor,text}] in the order their anchors appear in
+ * the document; comments without an anchor follow in id order.
+ */
+export function collectComments(documentXml,commentsXml) {
+  if (!commentsXml) return [];
+
+  const anchors={};
+  const order=[];
+  const open=new Set();
+
+  const walk=(node)=>{
+    childrenOf(node).forEach(child=>{
+      const name=nameOf(child);
+      const id=attrOf(child,'w:id');
+      if (name === 'w:commentRangeStart') {
+        if (!(id in anchors)) {
+          anchors[id]='';
+          order.push(id);
+        }
+        open.add(id);
+        return;
+      }
+      if (name === 'w:commentRangeEnd') {
+        open.delete(id);
+        return;
+      }
+      if (name === 'w:commentReference' && !order.includes(id)) {
+        order.push(id);
+        return;
+      }
+      if (name === 'w:t') {
+        const text=textOf(child);
+        open.forEach(openId=>{
+          anchors[openId]+=text;
+        });
+        return;
+      }
+      walk(child);
+    });
+  };
+  Object.values(documentXml).forEach(root=>walk({$$:[root]}));
+
+  const comments=childrenOf(Object.values(commentsXml)[0])
+    .filter(c=>nameOf(c) === 'w:comment')
+    .map(c=>{
+      const paragraphs=[];
+      const collect=(node)=>childrenOf(node).forEach(child=>{
+        if (nameOf(child) === 'w:p') {
+          const parts=[];
+          const texts=(n)=>childrenOf(n).forEach(x=>{
+            if (nameOf(x) === 'w:t') parts.push(textOf(x));
+            else texts(x);
+          });
+          texts(child);
+          paragraphs.push(parts.join(''));
+          return;
+        }
+        collect(child);
+      });
+      collect(c);
+
+      const id=attrOf(c,'w:id');
+      return {
+        id,
+        author:attrOf(c,'w:author') || '',
+        date:attrOf(c,'w:date') || '',
+        anchor:(anchors[id] || '').replace(/\s+/g,' ').trim(),
+        text:paragraphs.map(p=>p.trim()).filter(Boolean).join(' ')
+      };
+    });
+
+  const rank=id=>{
+    const i=order.indexOf(id);
+    return i === -1 ? order.length+Number(id) : i;
+  };
+  return comments.sort((a,b)=>rank(a.id)-rank(b.id));
+}
+
+function escapeMarkdownInline(text) {
+  return text.replace(/([\\`*_[\]<>])/g,'\\$1');
+}
+
+function escapeHtmlText(text) {
+  return text
+    .replace(/&/g,'&amp;')
+    .replace(/</g,'&lt;')
+    .replace(/>/g,'&gt;')
+    .replace(/"/g,'&quot;');
+}
+
+function commentDate(date) {
+  // Word writes full timestamps; the day is enough for review.
+  return date ? date.slice(0,10) : '';
+}
+
+/**
+ * renderCommentsSection(comments,{html})
+ *
+ * Delimited like the header/footer sections so it reads as part of the same scheme.
+ */
+export function renderCommentsSection(comments,{html}) {
+  if (comments.length === 0) return '';
+
+  if (html) {
+    const items=comments.map(c=>{
+      const date=commentDate(c.date);
+      const meta=`<strong>${escapeHtmlText(c.author || 'Unknown')}</strong>${date ? ` (${date})` : ''}`;
+      const anchor=c.anchor ? ` on <q>${escapeHtmlText(c.anchor)}</q>` : '';
+      return `<li>${meta}${anchor}: ${escapeHtmlText(c.text)}</li>`;
+    });
+    return `<section class="snippet-comments">\n<p class="snippet-story-title">comments</p>\n<ol>\n${items.join('\n')}\n</ol>\n</section>\n`;
+  }
+
+  const items=comments.map(c=>{
+    const date=commentDate(c.date);
+    const meta=`**${escapeMarkdownInline(c.author || 'Unknown')}**${date ? ` (${date})` : ''}`;
+    const anchor=c.anchor ? ` on “${escapeMarkdownInline(c.anchor)}”` : '';
+    return `- ${meta}${anchor}: ${escapeMarkdownInline(c.text)}`;
+  });
+  return `---- comments ----\n\n${items.join('\n')}\n\n---- end comments ----\n`;
+}
+
+/**
+ * replaceRevisionMarkers(output,{html})
+ */
+export function replaceRevisionMarkers(output,{html}) {
+  return output
+    .split(INSERTION_PRE).join(html ? '<ins>' : '{++')
+    .split(INSERTION_POST).join(html ? '</ins>' : '++}')
+    .split(DELETION_PRE).join(html ? '<del>' : '{--')
+    .split(DELETION_POST).join(html ? '</del>' : '--}');
+}
@@ -0,0 +1,176 @@
+/**
+ * scripts/snippet-mirror-site.js
+ *
+ * HTML site mode: HTML mirrors as standalone pages a reviewer can open from
+ * the filesystem.
+ *
+ * The "html" setting (config file or html=<mode>) decides what an HTML mirror is:
+ * - fragment: pandoc's HTML fragment, fields as {{...}} text (default)
+ * - site:     a complete page with embedded CSS; each {{...}} field becomes a
+ *             chip showing the field's name that reveals the full field code
+ *             on hover / focus, and a sidebar lists the whole snippet tree
+ *
+ * The sidebar isn't baked into the pages (adding a snippet would then touch
+ * every mirror): each page loads snippet-site-nav.js from its mirror root, a
+ * plain <script> (fetch() doesn't work on file:// URLs) that the batch run
+ * rewrites with the current tree. Without it the sidebar falls back to a link
+ * to index.html. Markdown and JSON mirrors and the textconv output ignore the
+ * mode.
+ */
+
+import path from 'node:path';
+import {parseFieldInstruction} from './snippet-mirror-fields.js';
+
+export const HTML_MODES=['fragment','site'];
+
+export const SITE_NAV_FILE_NAME='snippet-site-nav.js';
+
+export function normalizeHtmlMode(html) {
+  const h=(html || 'fragment').toLowerCase();
+  if (!HTML_MODES.includes(h)) {
+    throw new Error(`Unknown html mode "${html}". Expected one of: ${HTML_MODES.join(', ')}.`);
+  }
+  return h;
+}
+
+const SITE_CSS=`
+:root{--field-bg:#e8f0fe;--field-border:#9ab6ea;--field-text:#1a3d7c;--nav-bg:#f6f8fa;--border:#d0d7de;--text:#1f2328;--muted:#656d76}
+*{box-sizing:border-box}
+body{margin:0;display:flex;min-height:100vh;font:16px/1.5 -apple-system,"Segoe UI",Helvetica,Arial,sans-serif;color:var(--text)}
+.snippet-site-nav{flex:0 0 18rem;max-height:100vh;overflow:auto;position:sticky;top:0;padding:1rem;background:var(--nav-bg);border-right:1px solid var(--border);font-size:.9rem}
+.snippet-site-nav ul{list-style:none;margin:.25rem 0 .75rem;padding-left:.75rem}
+.snippet-site-nav summary{cursor:pointer;color:var(--muted);font-weight:600}
+.snippet-site-nav a{color:inherit;text-decoration:none}
+.snippet-site-nav a:hover{text-decoration:underline}
+.snippet-site-nav a[aria-current="page"]{font-weight:600;color:var(--field-text)}
+.snippet-site-page{flex:1;min-width:0;max-width:60rem;padding:1.5rem 2.5rem}
+table{border-collapse:collapse;margin:1rem 0}
+th,td{border:1px solid var(--border);padding:.3rem .6rem;vertical-align:top}
+img{max-width:100%}
+.snippet-field{position:relative;display:inline-block;padding:0 .35em;border:1px solid var(--field-border);border-radius:.3em;background:var(--field-bg);color:var(--field-text);font-family:ui-monospace,SFMono-Regular,Consolas,monospace;font-size:.85em;cursor:help}
+.snippet-field-code{display:none;position:absolute;left:0;top:100%;z-index:10;margin-top:.25em;padding:.3em .5em;white-space:pre;background:var(--text);color:#fff;border-radius:.3em;font-size:.9em}
+.snippet-field:hover>.snippet-field-code,.snippet-field:focus>.snippet-field-code{display:block}
+.snippet-story,.snippet-comments,.snippet-vba-modules{margin:1rem 0;padding:.5rem 1rem;border-left:3px solid var(--border);color:var(--muted)}
+.snippet-story-title{font-size:.8rem;text-transform:uppercase;letter-spacing:.05em}
+.snippet-control{outline:1px dashed var(--field-border)}
+ins{background:#dafbe1}
+del{background:#ffebe9}
+`.trim();
+
+function escapeHtmlText(text) {
+  return text
+    .replace(/&/g,'&amp;')
+    .replace(/</g,'&lt;')
+    .replace(/>/g,'&gt;')
+    .replace(/"/g,'&quot;');
+}
+
+function unescapeHtmlText(text) {
+  return text
+    .replace(/&lt;/g,'<')
+    .replace(/&gt;/g,'>')
+    .replace(/&quot;/g,'"')
+    .replace(/&#39;/g,'\'')
+    .replace(/&amp;/g,'&');
+}
+
+/**
+ * highlightFields(html)
+ *
+ * {{DOCPROPERTY Client \* MERGEFORMAT}} ->
+ *   <span class="snippet-field" tabindex="0">Client<span class="snippet-field-code">DOCPROPERTY Client \* MERGEFORMAT</span></span>
+ * The chip shows what the field names (else its type); the code pops up on
+ * hover / focus. Markup pandoc put inside the braces is dropped.
+ */
+export function highlightFields(html) {
+  return html.replace(/\{\{([\s\S]*?)\}\}/g,(m,inner)=>{
+    const code=unescapeHtmlText(inner.replace(/<[^>]*>/g,'')).replace(/\s+/g,' ').trim();
+    const {type,name}=parseFieldInstruction(code);
+    const label=name || type || code;
+    return `<span class="snippet-field" tabindex="0">${escapeHtmlText(label)}<span class="snippet-field-code">${escapeHtmlText(code)}</span></span>`;
+  });
+}
+
+/**
+ * siteRootHref(rel)
+ *
+ * "../" per folder level of a page at rel (relative to the mirror root).
+ */
+export function siteRootHref(rel) {
+  const depth=path.posix.dirname(rel) === '.' ? 0 : path.posix.dirname(rel).split('/').length;
+  return '../'.repeat(depth);
+}
+
+/**
+ * renderSitePage(body,{title,head,rel})
+ *
+ * Wraps a mirror fragment (fields already highlighted) into a standalone page;
+ * head is extra <head> markup (the document properties' <meta> tags), rel the
+ * page's path relative to its mirror root.
+ */
+export function renderSitePage(body,{title,head='',rel}) {
+  const root=siteRootHref(rel);
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8" />',
+    '<meta name="viewport" content="width=device-width, initial-scale=1" />',
+    `<title>${escapeHtmlText(title)}</title>`,
+    ...(head.trim() ? [head.trim()] : []),
+    `<style>\n${SITE_CSS}\n</style>`,
+    '</head>',
+    '<body>',
+    `<nav id="snippet-site-nav" class="snippet-site-nav" data-root="${escapeHtmlText(root)}" data-current="${escapeHtmlText(rel)}"><a href="${root}index.html">Snippet index</a></nav>`,
+    `<main class="snippet-site-page">\n${body.replace(/\n*$/,'')}\n</main>`,
+    `<script src="${root}${SITE_NAV_FILE_NAME}"></script>`,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+// Called with the tree; renders the sidebar into the page's <nav>.
+const NAV_SCRIPT=`
+function (tree) {
+  var nav = document.getElementById('snippet-site-nav');
+  if (!nav) return;
+  var root = nav.getAttribute('data-root') || '';
+  var current = nav.getAttribute('data-current') || '';
+  var element = function (name, text) {
+    var node = document.createElement(name);
+    if (text) node.textContent = text;
+    return node;
+  };
+  var link = function (rel, text) {
+    var a = element('a', text);
+    a.href = root + rel.split('/').map(encodeURIComponent).join('/');
+    if (rel === current) a.setAttribute('aria-current', 'page');
+    return a;
+  };
+
+  nav.textContent = '';
+  nav.appendChild(element('p')).appendChild(link('index.html', 'Snippet index'));
+  tree.forEach(function (group) {
+    var details = element('details');
+    details.open = true;
+    details.appendChild(element('summary', group.label));
+    var list = details.appendChild(element('ul'));
+    group.items.forEach(function (item) {
+      list.appendChild(element('li')).appendChild(link(item.rel, item.title));
+    });
+    nav.appendChild(details);
+  });
+}
+`.trim();
+
+/**
+ * renderSiteNavScript(groups)
+ *
+ * groups: [{label,items:[{rel,title}]}] in display order (see
+ * snippet-mirror-index.js); rel is relative to the mirror root.
+ */
+export function renderSiteNavScript(groups) {
+  const tree=JSON.stringify(groups,null,2).replace(/</g,'\\u003c');
+  return `// Generated by scripts/generate-all-snippet-mirrors.js. Do not edit.\n(${NAV_SCRIPT})(${tree});\n`;
+}
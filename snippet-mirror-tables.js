@@ -0,0 +1,133 @@
+/**
+ * scripts/snippet-mirror-tables.js
+ *
+ * Tables GFM can't represent.
+ *
+ * Pipe tables have no merged cells and no nesting, so pandoc flattens (or
+ * drops) Word tables that use w:gridSpan / w:hMerge / w:vMerge or hold another
+ * table. The "tables" setting (config file or tables=<mode>) decides what the
+ * Markdown mirror does with them:
+ * - auto:   tables that need it become embedded HTML tables with colspan /
+ *           rowspan; simple tables stay pipe tables (default)
+ * - html:   every table becomes an embedded HTML table
+ * - native: leave all tables to the engine
+ * HTML and JSON mirrors always leave tables to the engine.
+ *
+ * replaceComplexTables() takes those tables out of the document tree (leaving a
+ * placeholder the caller chooses); tableGrid() works out each cell's spans.
+ */
+
+import {childrenOf,nameOf,attrOf,firstChild} from './snippet-mirror-xml.js';
+
+export const TABLE_MODES=['auto','html','native'];
+
+export function normalizeTablesMode(tables) {
+  const t=(tables || 'auto').toLowerCase();
+  if (!TABLE_MODES.includes(t)) {
+    throw new Error(`Unknown tables mode "${tables}". Expected one of: ${TABLE_MODES.join(', ')}.`);
+  }
+  return t;
+}
+
+function rowsOf(tbl) {
+  return childrenOf(tbl).filter(c=>nameOf(c) === 'w:tr');
+}
+
+function cellsOf(tr) {
+  return childrenOf(tr).filter(c=>nameOf(c) === 'w:tc');
+}
+
+function intVal(node,fallback) {
+  const n=Number.parseInt(attrOf(node,'w:val'),10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function containsTable(node) {
+  return childrenOf(node).some(child=>nameOf(child) === 'w:tbl' || containsTable(child));
+}
+
+/**
+ * isComplexTable(tbl)
+ *
+ * True when a cell spans columns or rows, or holds a nested table.
+ */
+export function isComplexTable(tbl) {
+  return rowsOf(tbl).some(tr=>cellsOf(tr).some(tc=>{
+    const tcPr=firstChild(tc,'w:tcPr');
+    return intVal(firstChild(tcPr,'w:gridSpan'),1) > 1
+      || Boolean(firstChild(tcPr,'w:hMerge'))
+      || Boolean(firstChild(tcPr,'w:vMerge'))
+      || containsTable(tc);
+  }));
+}
+
+/**
+ * tableGrid(tbl)
+ *
+ * Returns [{header,cells:[{tc,colspan,rowspan}]}], one entry per w:tr. Cells
+ * that continue a merge (w:vMerge without "restart", w:hMerge "continue") are
+ * folded into the cell they extend instead of being listed. Header rows are
+ * the ones marked w:tblHeader, or the first row when none are.
+ */
+export function tableGrid(tbl) {
+  // Grid column -> the cell whose vertical merge is still open there.
+  const open=new Map();
+  const trs=rowsOf(tbl);
+  const markedHeader=trs.some(tr=>firstChild(firstChild(tr,'w:trPr'),'w:tblHeader'));
+
+  return trs.map((tr,rowIndex)=>{
+    const trPr=firstChild(tr,'w:trPr');
+    const cells=[];
+    let column=intVal(firstChild(trPr,'w:gridBefore'),0);
+
+    cellsOf(tr).forEach(tc=>{
+      const tcPr=firstChild(tc,'w:tcPr');
+      const span=Math.max(1,intVal(firstChild(tcPr,'w:gridSpan'),1));
+      const vMerge=firstChild(tcPr,'w:vMerge');
+      const hMerge=firstChild(tcPr,'w:hMerge');
+
+      if (hMerge && attrOf(hMerge,'w:val') !== 'restart' && cells.length > 0) {
+        cells[cells.length-1].colspan+=span;
+      } else if (vMerge && attrOf(vMerge,'w:val') !== 'restart' && open.has(column)) {
+        open.get(column).rowspan++;
+      } else {
+        const cell={tc,colspan:span,rowspan:1};
+        cells.push(cell);
+        if (vMerge) open.set(column,cell);
+        else open.delete(column);
+      }
+      column+=span;
+    });
+
+    const header=markedHeader ? Boolean(firstChild(trPr,'w:tblHeader')) : rowIndex === 0;
+    return {header,cells};
+  });
+}
+
+/**
+ * replaceComplexTables(xml,{mode,placeholder})
+ *
+ * Swaps every table the mode sends to HTML (see above) for placeholder(index),
+ * outermost tables only (nested ones go along with their parent). Returns the
+ * removed w:tbl nodes in document order; index is the position in that list.
+ */
+export function replaceComplexTables(xml,{mode,placeholder}) {
+  const tables=[];
+  if (mode === 'native') return tables;
+
+  const walk=node=>{
+    childrenOf(node).forEach((child,i)=>{
+      if (nameOf(child) !== 'w:tbl') {
+        walk(child);
+        return;
+      }
+      if (mode === 'html' || isComplexTable(child)) {
+        node.$$[i]=placeholder(tables.length);
+        tables.push(child);
+      }
+    });
+  };
+  Object.values(xml).forEach(root=>walk({$$:[root]}));
+
+  return tables;
+}
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * scripts/snippet-mirror-textconv.js
+ *
+ * git textconv driver: lets `git diff`, `git log -p` and `git show` display
+ * any version of a .docx (or .dotx / .docm / .dotm) as its mirror text.
+ *
+ * git calls the driver with a path that is often a temp file outside snippets/
+ * (for historical blobs), so this converts the file directly (same sentinel
+ * injection and post-processing as the mirror scripts) and writes the result
+ * to stdout instead of into snippets-mirror/.
+ *
+ * Options:
+ * - format=<gfm|html|json> (default: the config file's first format, else gfm)
+ * - engine=<pandoc|builtin|auto> (default: auto, so diffs still work without pandoc)
+ * - revisions=<accept|reject|show>
+ * - fields=<code|value|both>
+ * - tables=<auto|html|native> (default: the config file's tables, else auto)
+ * - config=<path>
+ *
+ * install: adds "<root>/**\/*.docx diff=<name>" (and the same for .dotx, .docm
+ * and .dotm) to .gitattributes for every configured source root and sets diff.<name>.textconv (plus cachetextconv)
+ * in the repo's git config. name=<driver> picks the driver name (default:
+ * snippet-mirror); other options are passed through to the driver command.
+ *
+ * Usage (repo root):
+ *   node scripts/snippet-mirror-textconv.js snippets/foo/bar.docx
+ *   node scripts/snippet-mirror-textconv.js install
+ *   node scripts/snippet-mirror-textconv.js install name=docx format=html
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import {spawnSync} from 'node:child_process';
+import {fileURLToPath} from 'node:url';
+import {renderDocxToText} from './generate-snippet-mirror.js';
+import {SOURCE_EXTENSIONS} from './snippet-mirror-package.js';
+import {loadConfig} from './snippet-mirror-config.js';
+import {shellQuote} from './generate-all-snippet-mirrors.js';
+
+const DEFAULTS={engine:'auto',revisions:'accept',fields:'code',driverName:'snippet-mirror'};
+
+const ATTRIBUTES_BEGIN='# >>> snippet-mirror >>>';
+const ATTRIBUTES_END='# <<< snippet-mirror <<<';
+
+// The first argument that is neither a flag nor one of these is the .docx path (which may contain "=").
+const OPTION_PREFIXES=['format=','engine=','revisions=','fields=','tables=','config=','name='];
+
+function parseCliArgs(argv) {
+  const initial={docxPath:null,install:false,format:null,engine:DEFAULTS.engine,revisions:DEFAULTS.revisions,fields:DEFAULTS.fields,tables:null,configPath:null,driverName:DEFAULTS.driverName};
+
+  return argv.slice(2).reduce((acc,arg)=>{
+    if (arg === 'install') return {...acc,install:true};
+    if (!acc.docxPath && !arg.startsWith('-') && !OPTION_PREFIXES.some(prefix=>arg.startsWith(prefix))) {
+      return {...acc,docxPath:arg};
+    }
+    if (arg.startsWith('format=')) {
+      const format=arg.slice('format='.length).trim().toLowerCase();
+      return {...acc,format:format || acc.format};
+    }
+    if (arg.startsWith('engine=')) {
+      const engine=arg.slice('engine='.length).trim().toLowerCase();
+      return {...acc,engine:engine || acc.engine};
+    }
+    if (arg.startsWith('revisions=')) {
+      const revisions=arg.slice('revisions='.length).trim().toLowerCase();
+      return {...acc,revisions:revisions || acc.revisions};
+    }
+    if (arg.startsWith('fields=')) {
+      const fields=arg.slice('fields='.length).trim().toLowerCase();
+      return {...acc,fields:fields || acc.fields};
+    }
+    if (arg.startsWith('tables=')) {
+      const tables=arg.slice('tables='.length).trim().toLowerCase();
+      return {...acc,tables:tables || acc.tables};
+    }
+    if (arg.startsWith('config=')) {
+      const configPath=arg.slice('config='.length).trim();
+      return {...acc,configPath:configPath || acc.configPath};
+    }
+    if (arg.startsWith('name=')) {
+      const driverName=arg.slice('name='.length).trim();
+      return {...acc,driverName:driverName || acc.driverName};
+    }
+    return acc;
+  },initial);
+}
+
+function runGit(args) {
+  const result=spawnSync('git',args,{encoding:'utf8',stdio:['ignore','pipe','pipe']});
+  if (result.error) {
+    throw result.error;
+  }
+  if (result.status !== 0) {
+    throw new Error(`git ${args[0]} failed (exit ${result.status}):\n${result.stderr || ''}`);
+  }
+  return result.stdout;
+}
+
+/**
+ * installTextconvDriver({driverName,config,passThroughArgs})
+ *
+ * Writes (or replaces) our block in the repo root's .gitattributes and points
+ * diff.<driverName>.textconv at this script. Existing attributes are kept.
+ */
+function installTextconvDriver({driverName,config,passThroughArgs}) {
+  if (!/^[A-Za-z0-9_-]+$/.test(driverName)) {
+    throw new Error(`Invalid driver name "${driverName}". Use letters, digits, "-" or "_".`);
+  }
+
+  const repoRoot=runGit(['rev-parse','--show-toplevel']).trim();
+  const attributesPath=path.join(repoRoot,'.gitattributes');
+
+  const lines=config.roots.flatMap(root=>{
+    const source=path.relative(repoRoot,path.resolve(root.source)).split(path.sep).join('/');
+    return SOURCE_EXTENSIONS.map(ext=>`${source}/**/*${ext} diff=${driverName}`);
+  });
+  const block=`${ATTRIBUTES_BEGIN}\n${lines.join('\n')}\n${ATTRIBUTES_END}`;
+
+  const existing=fs.existsSync(attributesPath) ? fs.readFileSync(attributesPath,'utf8') : '';
+  const blockPattern=new RegExp(`${ATTRIBUTES_BEGIN}[\\s\\S]*?${ATTRIBUTES_END}`);
+  const next=blockPattern.test(existing)
+    ? existing.replace(blockPattern,block)
+    : `${existing}${existing && !existing.endsWith('\n') ? '\n' : ''}${block}\n`;
+  fs.writeFileSync(attributesPath,next,'utf8');
+
+  // git runs textconv from the repo root, so a repo-relative script path works.
+  const scriptRel=path.relative(repoRoot,fileURLToPath(import.meta.url)).split(path.sep).join('/');
+  const command=['node',scriptRel,...passThroughArgs].map(shellQuote).join(' ');
+  runGit(['config',`diff.${driverName}.textconv`,command]);
+  runGit(['config',`diff.${driverName}.cachetextconv`,'true']);
+
+  return {attributesPath,lines,command};
+}
+
+async function main() {
+  const args=parseCliArgs(process.argv);
+  const config=loadConfig({configPath:args.configPath});
+
+  if (args.install) {
+    const passThrough=process.argv.slice(2).filter(arg=>arg !== 'install' && !arg.startsWith('name='));
+    const {attributesPath,lines,command}=installTextconvDriver({driverName:args.driverName,config,passThroughArgs:passThrough});
+    console.log(`Updated ${attributesPath}:`);
+    lines.forEach(line=>console.log(`  ${line}`));
+    console.log(`Set diff.${args.driverName}.textconv: ${command}`);
+    return;
+  }
+
+  if (!args.docxPath) {
+    console.error('Usage: node scripts/snippet-mirror-textconv.js <file.docx> [format=gfm|html|json] [engine=pandoc|builtin|auto] [revisions=accept|reject|show] [fields=code|value|both] [tables=auto|html|native] [config=<path>]');
+    console.error('       node scripts/snippet-mirror-textconv.js install [name=<driver>] [options passed to the driver]');
+    process.exit(2);
+  }
+
+  if (!fs.existsSync(args.docxPath)) {
+    throw new Error(`DOCX file not found: ${args.docxPath}`);
+  }
+
+  // Deleted or newly added files show up as empty blobs.
+  if (fs.statSync(args.docxPath).size === 0) return;
+
+  process.stdout.write(await renderDocxToText({
+    docxPath:args.docxPath,
+    format:args.format,
+    engine:args.engine,
+    revisions:args.revisions,
+    fields:args.fields,
+    config:{...config,tables:args.tables || config.tables}
+  }));
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(err=>{
+    console.error(err?.stack || String(err));
+    process.exit(1);
+  });
+}
@@ -0,0 +1,106 @@
+/**
+ * scripts/snippet-mirror-xml.js
+ *
+ * Order-preserving xml2js helpers shared by the mirror scripts.
+ *
+ * OOXML is order-sensitive (a run, then a hyperlink, then another run), and the
+ * default xml2js shape groups children by element name. We therefore parse with
+ * explicitChildren + preserveChildrenOrder, where every element looks like:
+ *   {'#name':'w:p', $:{...attributes}, $$:[...children in document order]}
+ * and text arrives as {'#name':'__text__', _:'...'} children.
+ *
+ * xml2js' Builder can't write that shape back, so buildOrderedXml() does.
+ * Only $$ is authoritative; the per-name arrays xml2js also adds are ignored.
+ */
+
+import {parseStringPromise} from 'xml2js';
+
+const TEXT_NODE='__text__';
+
+export async function parseOrderedXml(xmlString) {
+  return parseStringPromise(xmlString,{
+    explicitArray:true,
+    explicitChildren:true,
+    preserveChildrenOrder:true,
+    charsAsChildren:true,
+    includeWhiteChars:true
+  });
+}
+
+export function childrenOf(node) {
+  return node && Array.isArray(node.$$) ? node.$$ : [];
+}
+
+export function nameOf(node) {
+  return node ? node['#name'] : undefined;
+}
+
+export function attrOf(node,name) {
+  return node && node.$ ? node.$[name] : undefined;
+}
+
+export function firstChild(node,name) {
+  return childrenOf(node).find(c=>nameOf(c) === name);
+}
+
+export function textOf(node) {
+  return childrenOf(node)
+    .filter(c=>nameOf(c) === TEXT_NODE)
+    .map(c=>c._ || '')
+    .join('');
+}
+
+export function textNode(text) {
+  return {'#name':TEXT_NODE,_:text};
+}
+
+export function elementNode(name,attrs,children=[]) {
+  return {'#name':name,...(attrs ? {$:attrs} : {}),$$:children};
+}
+
+/**
+ * cloneNode(node)
+ *
+ * Deep copy of an element (attributes, $$ children and text only).
+ */
+export function cloneNode(node) {
+  return {
+    '#name':nameOf(node),
+    ...(node.$ ? {$:{...node.$}} : {}),
+    ...(node._ !== undefined ? {_:node._} : {}),
+    ...(Array.isArray(node.$$) ? {$$:node.$$.map(cloneNode)} : {})
+  };
+}
+
+function escapeXmlText(text) {
+  return String(text)
+    .replace(/&/g,'&amp;')
+    .replace(/</g,'&lt;')
+    .replace(/>/g,'&gt;');
+}
+
+function escapeXmlAttr(text) {
+  return escapeXmlText(text).replace(/"/g,'&quot;');
+}
+
+function serializeNode(node) {
+  if (nameOf(node) === TEXT_NODE) return escapeXmlText(node._ || '');
+
+  const attrs=Object.entries(node.$ || {})
+    .map(([k,v])=>` ${k}="${escapeXmlAttr(v)}"`)
+    .join('');
+  const children=childrenOf(node);
+  if (children.length === 0) return `<${nameOf(node)}${attrs}/>`;
+  return `<${nameOf(node)}${attrs}>${children.map(serializeNode).join('')}</${nameOf(node)}>`;
+}
+
+/**
+ * buildOrderedXml(xml)
+ *
+ * Inverse of parseOrderedXml(): takes the parse result ({rootName: rootNode})
+ * and returns an XML string with a standalone declaration, as Word writes it.
+ */
+export function buildOrderedXml(xml) {
+  const root=Object.values(xml)[0];
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${serializeNode(root)}`;
+}